@@ -0,0 +1,114 @@
+// src/adminRoutes.js
+
+const crypto = require("crypto");
+const express = require("express");
+
+const { config } = require("./config");
+const { listKeys, createKey, revokeKey } = require("./apiKeys");
+const { invalidRequestError, sendOpenAIError } = require("./errors");
+const {
+  GROUP_FIELDS,
+  aggregateUsage,
+  usageRowsToCsv
+} = require("./usageStore");
+
+const router = express.Router();
+
+// 常数时间比较，避免按响应时间逐字节猜出管理密钥
+function isAdminToken(token) {
+  if (typeof token !== "string") return false;
+  const expected = Buffer.from(config.adminApiKey);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// 管理接口统一用 ADMIN_API_KEY 保护，没配置时整个 /admin 返回 404
+router.use((req, res, next) => {
+  if (!config.adminApiKey) {
+    return res.status(404).json({
+      error: { message: "Admin API is disabled", type: "invalid_request_error" }
+    });
+  }
+  const authHeader = req.headers.authorization || "";
+  const token = authHeader.startsWith("Bearer ")
+    ? authHeader.slice("Bearer ".length)
+    : null;
+  if (!isAdminToken(token)) {
+    return res.status(401).json({
+      error: { message: "Invalid admin key", type: "invalid_request_error" }
+    });
+  }
+  next();
+});
+
+router.get("/keys", (_req, res) => {
+  res.json({ object: "list", data: listKeys() });
+});
+
+// 返回值里带明文 key，只有这一次能看到
+router.post("/keys", (req, res) => {
+  try {
+    res.status(201).json(createKey(req.body || {}));
+  } catch (err) {
+    sendOpenAIError(res, err);
+  }
+});
+
+router.delete("/keys/:id", (req, res) => {
+  const record = revokeKey(req.params.id);
+  if (!record) {
+    return res.status(404).json({
+      error: {
+        message: `No such key: ${req.params.id}`,
+        type: "invalid_request_error"
+      }
+    });
+  }
+  res.json(record);
+});
+
+/**
+ * 用量汇总：
+ *   GET /admin/usage?group_by=day,key,model&start=2025-01-01&end=2025-01-31&key_id=...&format=csv
+ * group_by 可选 day / key / model / user
+ */
+router.get("/usage", async (req, res) => {
+  try {
+    const groupBy = String(req.query.group_by || "day,key,model")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const unknown = groupBy.filter((g) => !GROUP_FIELDS[g]);
+    if (unknown.length) {
+      throw invalidRequestError(
+        `Unknown group_by field(s): ${unknown.join(", ")}. Expected: ${Object.keys(GROUP_FIELDS).join(", ")}`,
+        "group_by"
+      );
+    }
+
+    const rows = await aggregateUsage({
+      groupBy,
+      start: req.query.start,
+      end: req.query.end,
+      keyId: req.query.key_id
+    });
+
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", 'attachment; filename="usage.csv"');
+      return res.send(usageRowsToCsv(rows, groupBy));
+    }
+    const totalCost = rows.reduce((sum, r) => sum + r.cost_usd, 0);
+    res.json({
+      object: "list",
+      data: rows,
+      total_cost_usd: Math.round(totalCost * 1e6) / 1e6
+    });
+  } catch (err) {
+    sendOpenAIError(res, err);
+  }
+});
+
+module.exports = {
+  adminRouter: router
+};
@@ -0,0 +1,200 @@
+// src/anthropicRoutes.js
+
+const express = require("express");
+
+const { config } = require("./config");
+const { callClaudeRaw, countClaudeTokens } = require("./vertexClient");
+const { isModelAllowedForKey } = require("./apiKeys");
+const { resolveModelAlias } = require("./modelRegistry");
+const { createUpstreamAbort, describeOutcome } = require("./requestAbort");
+const { logger, getRequestContext } = require("./logger");
+const { metrics, trackActiveStream } = require("./metrics");
+const { recordRequestUsage } = require("./usageStore");
+const { createSSEParser } = require("./sse");
+const { mergeClaudeUsage } = require("./openaiAdapter");
+
+const router = express.Router();
+
+// HTTP 状态码 -> Anthropic error.type
+const ERROR_TYPE_BY_STATUS = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  413: "request_too_large",
+  429: "rate_limit_error",
+  529: "overloaded_error"
+};
+
+function sendAnthropicError(res, status, message, type) {
+  return res.status(status).json({
+    type: "error",
+    error: {
+      type: type || ERROR_TYPE_BY_STATUS[status] || "api_error",
+      message
+    }
+  });
+}
+
+/**
+ * 上游错误：如果 Vertex 返回的已经是 Anthropic 格式的错误体，就原样透传
+ */
+function sendUpstreamError(res, err) {
+  const status = err.status || 500;
+  if (err.retryAfter) res.setHeader("Retry-After", String(err.retryAfter));
+  if (err.body) {
+    try {
+      const parsed = JSON.parse(err.body);
+      if (parsed && parsed.type === "error" && parsed.error) {
+        return res.status(status).json(parsed);
+      }
+    } catch {
+      // 非 JSON，走下面的兜底
+    }
+  }
+  return sendAnthropicError(res, status, err.message || "Internal Server Error");
+}
+
+/**
+ * 客户端通过 anthropic-beta 头开启的 beta 功能，原样转给 Vertex
+ */
+function parseBetas(req) {
+  const header = req.headers["anthropic-beta"];
+  if (!header) return undefined;
+  return String(header)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function checkModel(req, res) {
+  const model = resolveModelAlias(
+    (req.body && req.body.model) || config.defaultModel
+  );
+  if (!config.allowedModels.includes(model)) {
+    sendAnthropicError(res, 400, `Model ${model} is not in allowed list`);
+    return null;
+  }
+  if (!isModelAllowedForKey(req.apiKey, model)) {
+    sendAnthropicError(
+      res,
+      403,
+      `This API key is not allowed to use model ${model}`
+    );
+    return null;
+  }
+  return model;
+}
+
+// Anthropic Messages API：请求体和响应（含 SSE）都原样透传
+router.post("/messages", async (req, res) => {
+  const body = req.body || {};
+  const model = checkModel(req, res);
+  if (!model) return;
+  res.locals.model = model;
+  res.locals.stream = !!body.stream;
+
+  // 客户端断开 / 总超时时取消上游请求（Claude 自己会发 ping 事件，这里不需要额外保活）
+  const upstreamAbort = createUpstreamAbort(res);
+  try {
+    const upstream = await callClaudeRaw(
+      { ...body, model },
+      { betas: parseBetas(req), signal: upstreamAbort.signal }
+    );
+
+    if (!body.stream) {
+      recordRequestUsage(req, {
+        model,
+        usage: upstream.usage,
+        endpoint: "messages",
+        user: body.metadata && body.metadata.user_id
+      });
+      return res.json(upstream);
+    }
+
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    if (typeof res.flushHeaders === "function") {
+      res.flushHeaders();
+    }
+    trackActiveStream(res, "messages");
+    // 原样转发的同时解析一份事件，用来统计 usage 和首 token 时间
+    const usage = {};
+    let sawFirstToken = false;
+    const parser = createSSEParser((event) => {
+      if (!sawFirstToken && event.type === "content_block_delta") {
+        sawFirstToken = true;
+        metrics.timeToFirstToken.observe(
+          { endpoint: "messages", model },
+          (Date.now() - getRequestContext().startedAt) / 1000
+        );
+      }
+      if (event.type === "message_start" && event.message) {
+        mergeClaudeUsage(usage, event.message.usage);
+      } else if (event.type === "message_delta") {
+        mergeClaudeUsage(usage, event.usage);
+      }
+    });
+    try {
+      for await (const chunk of upstream.body) {
+        res.write(chunk);
+        parser.push(chunk);
+      }
+    } catch (err) {
+      if (err.cancelled) {
+        logger.warn("messages stream cancelled, upstream aborted", {
+          outcome: describeOutcome(err)
+        });
+      } else {
+        // 已经开始推流，只能按 Anthropic SSE 的 error 事件收尾
+        logger.error("messages stream failed", { outcome: describeOutcome(err), err });
+        const errorEvent = {
+          type: "error",
+          error: { type: "api_error", message: err.message || "Stream error" }
+        };
+        res.write(`event: error\ndata: ${JSON.stringify(errorEvent)}\n\n`);
+      }
+    }
+    recordRequestUsage(req, {
+      model,
+      usage,
+      endpoint: "messages",
+      stream: true,
+      user: body.metadata && body.metadata.user_id
+    });
+    res.end();
+  } catch (err) {
+    if (err.cancelled) {
+      logger.warn("messages request cancelled", { outcome: describeOutcome(err) });
+      return;
+    }
+    logger.error("messages request failed", { outcome: describeOutcome(err), err });
+    sendUpstreamError(res, err);
+  } finally {
+    upstreamAbort.cleanup();
+  }
+});
+
+router.post("/messages/count_tokens", async (req, res) => {
+  const body = req.body || {};
+  const model = checkModel(req, res);
+  if (!model) return;
+  res.locals.model = model;
+
+  try {
+    const result = await countClaudeTokens(
+      { ...body, model },
+      { betas: parseBetas(req) }
+    );
+    res.json(result);
+  } catch (err) {
+    logger.error("count_tokens failed", { outcome: describeOutcome(err), err });
+    sendUpstreamError(res, err);
+  }
+});
+
+module.exports = {
+  anthropicRouter: router,
+  sendAnthropicError
+};
@@ -0,0 +1,314 @@
+// src/apiKeys.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { config } = require("./config");
+const { invalidRequestError } = require("./errors");
+const { logger } = require("./logger");
+
+/**
+ * 网关 API Key 管理
+ * 持久化在 API_KEYS_FILE（默认 data/api-keys.json），格式：
+ *   { "keys": [ { id, name, key 或 keyHash, models, rpm, tpm, dailyTokens, monthlyTokens, ... } ] }
+ * - key：明文（手写配置文件时用），keyHash：sha256(key)，二选一
+ * - models：允许的模型列表，空 / 不填表示不限
+ * - rpm / tpm / dailyTokens / monthlyTokens：不填表示不限
+ * - paramMode：lenient / strict，不填时用全局 PARAM_MODE
+ * 旧的 PROXY_API_KEY 仍然可用，相当于一个不限额、不落盘的 key
+ */
+
+const WINDOW_MS = 60_000;
+
+let keys = [];
+// key id -> { requests: [ts], tokens: [{at, n}] }，只在内存里统计每分钟用量
+const windows = new Map();
+let saveTimer = null;
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function loadKeys() {
+  if (!fs.existsSync(config.apiKeysFile)) return [];
+  const raw = JSON.parse(fs.readFileSync(config.apiKeysFile, "utf8"));
+  const list = Array.isArray(raw) ? raw : raw.keys || [];
+  return list.map((k, i) => ({
+    id: k.id || `key_${i}`,
+    name: k.name || k.id || `key_${i}`,
+    ...k,
+    keyHash: k.keyHash || (k.key ? hashKey(k.key) : null),
+    usage: k.usage || {}
+  }));
+}
+
+function saveKeys() {
+  fs.mkdirSync(path.dirname(config.apiKeysFile), { recursive: true });
+  const tmp = `${config.apiKeysFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ keys }, null, 2));
+  fs.renameSync(tmp, config.apiKeysFile);
+}
+
+// 用量计数变化频繁，合并成一次延迟写盘
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      saveKeys();
+    } catch (err) {
+      logger.error("failed to persist api keys", { err });
+    }
+  }, 1000);
+  saveTimer.unref();
+}
+
+keys = loadKeys();
+
+if (config.proxyApiKey) {
+  keys.push({
+    id: "default",
+    name: "PROXY_API_KEY",
+    keyHash: hashKey(config.proxyApiKey),
+    legacy: true,
+    usage: {}
+  });
+}
+
+/**
+ * 是否启用了鉴权（从未配置过任何 key 时保持原来的开放模式；
+ * 吊销掉最后一个 key 不会让网关重新变成开放状态）
+ */
+function hasApiKeys() {
+  return keys.length > 0;
+}
+
+function authenticateKey(token) {
+  if (!token) return null;
+  const hash = hashKey(token);
+  return keys.find((k) => k.keyHash === hash && !k.revokedAt) || null;
+}
+
+/**
+ * 按 id 找未吊销的 key（Batch 任务在后台运行时用，此时没有请求里的 token）
+ */
+function getKeyById(id) {
+  return keys.find((k) => k.id === id && !k.revokedAt) || null;
+}
+
+function isModelAllowedForKey(record, model) {
+  if (!record || !Array.isArray(record.models) || !record.models.length) {
+    return true;
+  }
+  return record.models.includes(model);
+}
+
+function getWindow(record, now) {
+  let w = windows.get(record.id);
+  if (!w) {
+    w = { requests: [], tokens: [] };
+    windows.set(record.id, w);
+  }
+  w.requests = w.requests.filter((ts) => ts > now - WINDOW_MS);
+  w.tokens = w.tokens.filter((t) => t.at > now - WINDOW_MS);
+  return w;
+}
+
+// 跨天 / 跨月时清零额度计数（按 UTC）
+function rollUsage(record, now) {
+  const day = new Date(now).toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+  const usage = record.usage;
+  if (usage.day !== day) {
+    usage.day = day;
+    usage.dayTokens = 0;
+  }
+  if (usage.month !== month) {
+    usage.month = month;
+    usage.monthTokens = 0;
+  }
+  return usage;
+}
+
+function formatReset(ms) {
+  return `${Math.max(Math.ceil(ms / 1000), 1)}s`;
+}
+
+/**
+ * 检查并占用一次请求额度
+ * @returns {{ok: boolean, headers: Object, status?: number, message?: string, type?: string, code?: string, retryAfter?: number}}
+ */
+function checkRateLimits(record) {
+  const now = Date.now();
+  const w = getWindow(record, now);
+  const usage = rollUsage(record, now);
+  const tokensUsed = w.tokens.reduce((sum, t) => sum + t.n, 0);
+  const headers = {};
+
+  if (record.rpm) {
+    headers["x-ratelimit-limit-requests"] = String(record.rpm);
+    headers["x-ratelimit-remaining-requests"] = String(
+      Math.max(record.rpm - w.requests.length - 1, 0)
+    );
+    headers["x-ratelimit-reset-requests"] = formatReset(
+      w.requests.length ? w.requests[0] + WINDOW_MS - now : WINDOW_MS
+    );
+  }
+  if (record.tpm) {
+    headers["x-ratelimit-limit-tokens"] = String(record.tpm);
+    headers["x-ratelimit-remaining-tokens"] = String(
+      Math.max(record.tpm - tokensUsed, 0)
+    );
+    headers["x-ratelimit-reset-tokens"] = formatReset(
+      w.tokens.length ? w.tokens[0].at + WINDOW_MS - now : WINDOW_MS
+    );
+  }
+
+  if (record.rpm && w.requests.length >= record.rpm) {
+    const retryAfter = Math.ceil((w.requests[0] + WINDOW_MS - now) / 1000);
+    return {
+      ok: false,
+      headers,
+      status: 429,
+      type: "requests",
+      code: "rate_limit_exceeded",
+      retryAfter,
+      message: `Rate limit reached for key ${record.name} on requests per min (RPM): Limit ${record.rpm}, Used ${w.requests.length}. Please try again in ${retryAfter}s.`
+    };
+  }
+  if (record.tpm && tokensUsed >= record.tpm) {
+    const retryAfter = Math.ceil((w.tokens[0].at + WINDOW_MS - now) / 1000);
+    return {
+      ok: false,
+      headers,
+      status: 429,
+      type: "tokens",
+      code: "rate_limit_exceeded",
+      retryAfter,
+      message: `Rate limit reached for key ${record.name} on tokens per min (TPM): Limit ${record.tpm}, Used ${tokensUsed}. Please try again in ${retryAfter}s.`
+    };
+  }
+  if (record.dailyTokens && usage.dayTokens >= record.dailyTokens) {
+    return {
+      ok: false,
+      headers,
+      status: 429,
+      type: "insufficient_quota",
+      code: "insufficient_quota",
+      message: `Key ${record.name} has exceeded its daily token budget (${record.dailyTokens}).`
+    };
+  }
+  if (record.monthlyTokens && usage.monthTokens >= record.monthlyTokens) {
+    return {
+      ok: false,
+      headers,
+      status: 429,
+      type: "insufficient_quota",
+      code: "insufficient_quota",
+      message: `Key ${record.name} has exceeded its monthly token budget (${record.monthlyTokens}).`
+    };
+  }
+
+  w.requests.push(now);
+  return { ok: true, headers };
+}
+
+/**
+ * 请求结束后按 Claude usage 计入 TPM 和日 / 月额度
+ * 缓存读写 token 也算输入 token
+ */
+function recordKeyUsage(record, usage) {
+  if (!record || !usage) return;
+  const n =
+    (usage.input_tokens || 0) +
+    (usage.output_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0) +
+    (usage.cache_read_input_tokens || 0);
+  if (!n) return;
+
+  const now = Date.now();
+  getWindow(record, now).tokens.push({ at: now, n });
+  const keyUsage = rollUsage(record, now);
+  keyUsage.dayTokens += n;
+  keyUsage.monthTokens += n;
+  if (!record.legacy) scheduleSave();
+}
+
+/**
+ * 对外展示用：去掉 key / keyHash
+ */
+function describeKey(record) {
+  const { key, keyHash, legacy, ...rest } = record;
+  return rest;
+}
+
+function listKeys() {
+  return keys.filter((k) => !k.legacy).map(describeKey);
+}
+
+function optionalNumber(value, param) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== "number" || value < 0) {
+    throw invalidRequestError(`${param} must be a non-negative number`, param);
+  }
+  return value;
+}
+
+/**
+ * 新建 key，明文只在返回值里出现这一次
+ */
+function createKey(options = {}) {
+  if (options.models !== undefined && !Array.isArray(options.models)) {
+    throw invalidRequestError("models must be an array of model IDs", "models");
+  }
+  if (
+    options.paramMode !== undefined &&
+    !["lenient", "strict"].includes(options.paramMode)
+  ) {
+    throw invalidRequestError(
+      "paramMode must be one of: lenient, strict",
+      "paramMode"
+    );
+  }
+  const plaintext = `sk-vg-${crypto.randomBytes(24).toString("base64url")}`;
+  const record = {
+    id: `key_${crypto.randomBytes(6).toString("hex")}`,
+    name: options.name || "unnamed",
+    keyHash: hashKey(plaintext),
+    keyPrefix: plaintext.slice(0, 10),
+    models: options.models || [],
+    rpm: optionalNumber(options.rpm, "rpm"),
+    tpm: optionalNumber(options.tpm, "tpm"),
+    dailyTokens: optionalNumber(options.dailyTokens, "dailyTokens"),
+    monthlyTokens: optionalNumber(options.monthlyTokens, "monthlyTokens"),
+    paramMode: options.paramMode,
+    createdAt: new Date().toISOString(),
+    usage: {}
+  };
+  keys.push(record);
+  saveKeys();
+  return { ...describeKey(record), key: plaintext };
+}
+
+function revokeKey(id) {
+  const record = keys.find((k) => k.id === id && !k.legacy);
+  if (!record) return null;
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    saveKeys();
+  }
+  return describeKey(record);
+}
+
+module.exports = {
+  hasApiKeys,
+  authenticateKey,
+  getKeyById,
+  isModelAllowedForKey,
+  checkRateLimits,
+  recordKeyUsage,
+  listKeys,
+  createKey,
+  revokeKey
+};
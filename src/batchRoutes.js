@@ -0,0 +1,196 @@
+// src/batchRoutes.js
+
+const express = require("express");
+
+const { config } = require("./config");
+const {
+  createApiError,
+  invalidRequestError,
+  sendOpenAIError
+} = require("./errors");
+const {
+  describeFile,
+  createFile,
+  getFile,
+  readFileContent,
+  listFiles,
+  deleteFile
+} = require("./fileStore");
+const {
+  describeBatch,
+  createBatch,
+  getBatch,
+  listBatches,
+  cancelBatch
+} = require("./batches");
+
+/**
+ * OpenAI Files / Batch API：
+ *   POST /v1/files（multipart，purpose=batch）、GET /v1/files、GET /v1/files/{id}、
+ *   GET /v1/files/{id}/content、DELETE /v1/files/{id}
+ *   POST /v1/batches、GET /v1/batches、GET /v1/batches/{id}、POST /v1/batches/{id}/cancel
+ * 挂在 /v1 的鉴权之后；有 API Key 时每个 key 只能看到自己创建的文件和 batch
+ */
+
+const router = express.Router();
+
+function keyIdOf(req) {
+  return req.apiKey ? req.apiKey.id : null;
+}
+
+function notFound(kind, id) {
+  return createApiError(404, `No such ${kind}: ${id}`);
+}
+
+/**
+ * 解析 multipart/form-data（只处理上传文件需要的部分：字段名、文件名、内容）
+ * @returns {Object<string, {filename: string|null, data: Buffer}>}
+ */
+function parseMultipart(buffer, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!match || !Buffer.isBuffer(buffer)) {
+    throw invalidRequestError("Request body must be multipart/form-data");
+  }
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  const parts = {};
+  let start = buffer.indexOf(delimiter);
+  while (start !== -1) {
+    start += delimiter.length;
+    // 结束分隔符是 --boundary--
+    if (buffer.subarray(start, start + 2).toString() === "--") break;
+    const end = buffer.indexOf(delimiter, start);
+    if (end === -1) break;
+    // 去掉分隔符后的 \r\n 和下一个分隔符前的 \r\n
+    const part = buffer.subarray(start + 2, end - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString("utf8");
+      const name = /(?:^|;\s*)name="([^"]*)"/im.exec(headers);
+      const filename = /filename="([^"]*)"/i.exec(headers);
+      if (name) {
+        parts[name[1]] = {
+          filename: filename ? filename[1] : null,
+          data: part.subarray(headerEnd + 4)
+        };
+      }
+    }
+    start = end;
+  }
+  return parts;
+}
+
+router.post(
+  "/files",
+  express.raw({ type: "multipart/form-data", limit: config.batch.maxFileBytes }),
+  async (req, res) => {
+    try {
+      const parts = parseMultipart(req.body, req.headers["content-type"]);
+      const purpose = parts.purpose ? parts.purpose.data.toString("utf8").trim() : null;
+      if (purpose !== "batch") {
+        throw invalidRequestError(
+          `Unsupported purpose: ${purpose}. Only 'batch' is supported`,
+          "purpose"
+        );
+      }
+      if (!parts.file) {
+        throw invalidRequestError("file is required", "file");
+      }
+      const record = await createFile({
+        content: parts.file.data,
+        filename: parts.file.filename || "upload.jsonl",
+        purpose,
+        keyId: keyIdOf(req)
+      });
+      res.json(describeFile(record));
+    } catch (err) {
+      sendOpenAIError(res, err);
+    }
+  }
+);
+
+router.get("/files", async (req, res) => {
+  try {
+    const files = await listFiles(keyIdOf(req), { purpose: req.query.purpose });
+    res.json({ object: "list", data: files.map(describeFile), has_more: false });
+  } catch (err) {
+    sendOpenAIError(res, err);
+  }
+});
+
+router.get("/files/:id", async (req, res) => {
+  try {
+    const record = await getFile(req.params.id, keyIdOf(req));
+    if (!record) throw notFound("file", req.params.id);
+    res.json(describeFile(record));
+  } catch (err) {
+    sendOpenAIError(res, err);
+  }
+});
+
+router.get("/files/:id/content", async (req, res) => {
+  try {
+    const record = await getFile(req.params.id, keyIdOf(req));
+    const content = record && (await readFileContent(record.id));
+    if (!content) throw notFound("file", req.params.id);
+    res.type("application/octet-stream").send(content);
+  } catch (err) {
+    sendOpenAIError(res, err);
+  }
+});
+
+router.delete("/files/:id", async (req, res) => {
+  try {
+    const record = await deleteFile(req.params.id, keyIdOf(req));
+    if (!record) throw notFound("file", req.params.id);
+    res.json({ id: record.id, object: "file", deleted: true });
+  } catch (err) {
+    sendOpenAIError(res, err);
+  }
+});
+
+router.post("/batches", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const batch = await createBatch({
+      inputFileId: body.input_file_id,
+      endpoint: body.endpoint,
+      completionWindow: body.completion_window,
+      metadata: body.metadata,
+      keyId: keyIdOf(req)
+    });
+    res.json(describeBatch(batch));
+  } catch (err) {
+    sendOpenAIError(res, err);
+  }
+});
+
+router.get("/batches", (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return sendOpenAIError(
+      res,
+      invalidRequestError("limit must be an integer between 1 and 100", "limit")
+    );
+  }
+  res.json(listBatches(keyIdOf(req), { limit, after: req.query.after }));
+});
+
+router.get("/batches/:id", (req, res) => {
+  const batch = getBatch(req.params.id, keyIdOf(req));
+  if (!batch) return sendOpenAIError(res, notFound("batch", req.params.id));
+  res.json(describeBatch(batch));
+});
+
+router.post("/batches/:id/cancel", async (req, res) => {
+  try {
+    const batch = await cancelBatch(req.params.id, keyIdOf(req));
+    if (!batch) throw notFound("batch", req.params.id);
+    res.json(describeBatch(batch));
+  } catch (err) {
+    sendOpenAIError(res, err);
+  }
+});
+
+module.exports = {
+  batchRouter: router
+};
@@ -0,0 +1,564 @@
+// src/batches.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { config } = require("./config");
+const { callClaudeMessages } = require("./vertexClient");
+const { inlineRemoteImages } = require("./media");
+const { getKeyById, isModelAllowedForKey, checkRateLimits } = require("./apiKeys");
+const { recordRequestUsage } = require("./usageStore");
+const { upstreamTimeoutError, describeOutcome } = require("./requestAbort");
+const { logger, runWithRequestContext } = require("./logger");
+const {
+  resolveModelAlias,
+  getModelInfo,
+  assertModelCapabilities
+} = require("./modelRegistry");
+const { callWithStructuredOutput } = require("./structuredOutput");
+const { createFile, getFile, readFileContent } = require("./fileStore");
+const {
+  createApiError,
+  invalidRequestError,
+  mapUpstreamError,
+  toOpenAIErrorPayload
+} = require("./errors");
+const {
+  mapOpenAIRequestToClaude,
+  mapClaudeResponseToOpenAI
+} = require("./openaiAdapter");
+
+/**
+ * OpenAI Batch API：本地持久化的任务队列
+ * - <dir>/<id>.json：Batch 对象（外加 keyId），状态变化和每完成一行都会写盘
+ * - <dir>/<id>.results.jsonl：已完成的行（{ index, ok, record }），重启后据此跳过已完成的行
+ * 任务按创建顺序一个一个跑，每个任务内部最多 BATCH_CONCURRENCY 个并发请求；
+ * 结束时按输入顺序写出 OpenAI 格式的 output / error 文件（purpose: batch_output）
+ * 状态：validating -> in_progress -> finalizing -> completed，
+ *      以及 failed（输入文件格式错误）/ cancelling -> cancelled / expired
+ */
+
+const COMPLETION_WINDOWS = { "24h": 24 * 60 * 60 };
+const ACTIVE_STATUSES = ["validating", "in_progress", "finalizing", "cancelling"];
+
+/**
+ * 单行请求的处理函数，按 batch 的 endpoint 选择
+ */
+const BATCH_ENDPOINTS = {
+  "/v1/chat/completions": runChatCompletion
+};
+
+const queue = [];
+let draining = false;
+// batch id -> AbortController，取消时中止进行中的上游请求
+const running = new Map();
+
+function batchDir() {
+  fs.mkdirSync(config.batch.dir, { recursive: true });
+  return config.batch.dir;
+}
+
+function batchPath(id) {
+  return path.join(batchDir(), `${id}.json`);
+}
+
+function resultsPath(id) {
+  return path.join(batchDir(), `${id}.results.jsonl`);
+}
+
+function isValidBatchId(id) {
+  return typeof id === "string" && /^batch_[0-9a-f]{24}$/.test(id);
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function saveBatch(batch) {
+  const tmp = `${batchPath(batch.id)}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(batch, null, 2));
+  fs.renameSync(tmp, batchPath(batch.id));
+}
+
+function loadBatch(id) {
+  if (!isValidBatchId(id)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(batchPath(id), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 对外展示用：去掉 keyId
+ */
+function describeBatch(batch) {
+  const { keyId, ...rest } = batch;
+  return rest;
+}
+
+function canAccess(batch, keyId) {
+  return !keyId || !batch.keyId || batch.keyId === keyId;
+}
+
+function batchCancelledError() {
+  const err = new Error("Batch was cancelled");
+  err.status = 499;
+  err.cancelled = true;
+  err.upstream = true;
+  return err;
+}
+
+/**
+ * 解析并校验输入文件，每行 { custom_id, method: "POST", url, body }
+ * @returns {{requests: Array<Object>, errors: Array<Object>}} errors 为 OpenAI batch.errors.data 格式
+ */
+function parseBatchInput(content, endpoint) {
+  const requests = [];
+  const errors = [];
+  const seen = new Set();
+  const fail = (line, code, message, param = null) =>
+    errors.push({ code, message, param, line });
+
+  content
+    .toString("utf8")
+    .split("\n")
+    .forEach((text, i) => {
+      const line = i + 1;
+      if (!text.trim()) return;
+      let item;
+      try {
+        item = JSON.parse(text);
+      } catch {
+        return fail(line, "invalid_json_line", "This line is not parseable as valid JSON.");
+      }
+      if (!item || typeof item !== "object" || Array.isArray(item)) {
+        return fail(line, "invalid_request", "Each line must be a JSON object.");
+      }
+      if (typeof item.custom_id !== "string" || !item.custom_id) {
+        return fail(line, "missing_required_parameter", "custom_id is required.", "custom_id");
+      }
+      if (seen.has(item.custom_id)) {
+        return fail(
+          line,
+          "duplicate_custom_id",
+          `The custom_id '${item.custom_id}' is used more than once.`,
+          "custom_id"
+        );
+      }
+      seen.add(item.custom_id);
+      if (item.method !== "POST") {
+        return fail(line, "invalid_method", "method must be POST.", "method");
+      }
+      if (item.url !== endpoint) {
+        return fail(
+          line,
+          "mismatched_endpoint",
+          `The url '${item.url}' does not match the batch endpoint '${endpoint}'.`,
+          "url"
+        );
+      }
+      if (!item.body || typeof item.body !== "object" || Array.isArray(item.body)) {
+        return fail(line, "missing_required_parameter", "body must be a JSON object.", "body");
+      }
+      requests.push({ index: requests.length, customId: item.custom_id, body: item.body });
+    });
+
+  if (!requests.length && !errors.length) {
+    fail(null, "empty_file", "The input file does not contain any requests.");
+  }
+  return { requests, errors };
+}
+
+/**
+ * 创建 batch：先同步检查参数和输入文件，逐行校验放到队列里做（状态 validating）
+ * @param {Object} options
+ * @param {string} options.inputFileId
+ * @param {string} options.endpoint
+ * @param {string} options.completionWindow
+ * @param {Object} [options.metadata]
+ * @param {string} [options.keyId] 创建者的 API Key id
+ */
+async function createBatch({ inputFileId, endpoint, completionWindow, metadata, keyId = null }) {
+  if (!BATCH_ENDPOINTS[endpoint]) {
+    throw invalidRequestError(
+      `Unsupported endpoint: ${endpoint}. Expected one of: ${Object.keys(BATCH_ENDPOINTS).join(", ")}`,
+      "endpoint"
+    );
+  }
+  if (!COMPLETION_WINDOWS[completionWindow]) {
+    throw invalidRequestError(
+      `Unsupported completion_window: ${completionWindow}. Expected one of: ${Object.keys(COMPLETION_WINDOWS).join(", ")}`,
+      "completion_window"
+    );
+  }
+  if (metadata !== undefined && metadata !== null && typeof metadata !== "object") {
+    throw invalidRequestError("metadata must be an object", "metadata");
+  }
+  const file = await getFile(inputFileId, keyId);
+  if (!file) {
+    throw createApiError(404, `No such file: ${inputFileId}`, { param: "input_file_id" });
+  }
+  if (file.purpose !== "batch") {
+    throw invalidRequestError(
+      `File ${inputFileId} must have purpose 'batch'`,
+      "input_file_id"
+    );
+  }
+
+  const createdAt = nowSeconds();
+  const batch = {
+    id: `batch_${crypto.randomBytes(12).toString("hex")}`,
+    object: "batch",
+    endpoint,
+    errors: null,
+    input_file_id: inputFileId,
+    completion_window: completionWindow,
+    status: "validating",
+    output_file_id: null,
+    error_file_id: null,
+    created_at: createdAt,
+    in_progress_at: null,
+    expires_at: createdAt + COMPLETION_WINDOWS[completionWindow],
+    finalizing_at: null,
+    completed_at: null,
+    failed_at: null,
+    expired_at: null,
+    cancelling_at: null,
+    cancelled_at: null,
+    request_counts: { total: 0, completed: 0, failed: 0 },
+    metadata: metadata || null,
+    keyId
+  };
+  saveBatch(batch);
+  enqueue(batch.id);
+  return batch;
+}
+
+function getBatch(id, keyId) {
+  const batch = loadBatch(id);
+  return batch && canAccess(batch, keyId) ? batch : null;
+}
+
+/**
+ * 按创建时间倒序分页，对应 GET /v1/batches?limit=&after=
+ */
+function listBatches(keyId, { limit = 20, after } = {}) {
+  const all = fs
+    .readdirSync(batchDir())
+    .filter((f) => /^batch_[0-9a-f]{24}\.json$/.test(f))
+    .map((f) => loadBatch(f.slice(0, -5)))
+    .filter((b) => b && canAccess(b, keyId))
+    .sort((a, b) => b.created_at - a.created_at || (a.id < b.id ? 1 : -1));
+  const start = after ? all.findIndex((b) => b.id === after) + 1 : 0;
+  const data = all.slice(start, start + limit);
+  return {
+    object: "list",
+    data: data.map(describeBatch),
+    first_id: data.length ? data[0].id : null,
+    last_id: data.length ? data[data.length - 1].id : null,
+    has_more: start + limit < all.length
+  };
+}
+
+/**
+ * 取消：还没开始跑的直接结束，正在跑的中止进行中的请求，已完成的行照常写进输出文件
+ */
+async function cancelBatch(id, keyId) {
+  const batch = getBatch(id, keyId);
+  if (!batch) return null;
+  if (!["validating", "in_progress"].includes(batch.status)) return batch;
+
+  batch.status = "cancelling";
+  batch.cancelling_at = nowSeconds();
+  saveBatch(batch);
+  const controller = running.get(id);
+  if (controller) {
+    controller.abort(batchCancelledError());
+    return batch;
+  }
+  const queued = queue.indexOf(id);
+  if (queued !== -1) queue.splice(queued, 1);
+  return finalizeBatch(batch, "cancelled");
+}
+
+function enqueue(id) {
+  if (!queue.includes(id)) queue.push(id);
+  drain();
+}
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    while (queue.length) {
+      const id = queue.shift();
+      await runWithRequestContext(id, () => runBatch(id)).catch((err) => {
+        logger.error("batch failed unexpectedly", { batch_id: id, err });
+      });
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * 启动时把没跑完的 batch 重新放回队列（按创建时间）
+ */
+function resumeBatches() {
+  const pending = fs
+    .readdirSync(batchDir())
+    .filter((f) => /^batch_[0-9a-f]{24}\.json$/.test(f))
+    .map((f) => loadBatch(f.slice(0, -5)))
+    .filter((b) => b && ACTIVE_STATUSES.includes(b.status))
+    .sort((a, b) => a.created_at - b.created_at);
+  for (const batch of pending) {
+    logger.info("resuming batch", { batch_id: batch.id, status: batch.status });
+    enqueue(batch.id);
+  }
+}
+
+function readResults(id) {
+  if (!fs.existsSync(resultsPath(id))) return [];
+  return fs
+    .readFileSync(resultsPath(id), "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+async function runBatch(id) {
+  let batch = loadBatch(id);
+  if (!batch) return;
+  if (batch.status === "cancelling") return finalizeBatch(batch, "cancelled");
+  if (!["validating", "in_progress", "finalizing"].includes(batch.status)) return;
+
+  // 读输入之前就登记：之后的取消都只中止 controller，由这里收尾，不会和 cancelBatch 各结束一次
+  const controller = new AbortController();
+  running.set(id, controller);
+  try {
+    const input = await readFileContent(batch.input_file_id).catch(() => null);
+    if (controller.signal.aborted) {
+      return finalizeBatch(loadBatch(id) || batch, "cancelled");
+    }
+    if (input === null) {
+      return failBatch(batch, [
+        {
+          code: "file_not_found",
+          message: `Input file ${batch.input_file_id} no longer exists.`,
+          param: "input_file_id",
+          line: null
+        }
+      ]);
+    }
+    const { requests, errors } = parseBatchInput(input, batch.endpoint);
+    if (errors.length) return failBatch(batch, errors);
+
+    if (batch.status === "validating") {
+      batch.status = "in_progress";
+      batch.in_progress_at = nowSeconds();
+      batch.request_counts.total = requests.length;
+      saveBatch(batch);
+      logger.info("batch started", { batch_id: id, requests: requests.length });
+    }
+
+    const done = new Set(readResults(id).map((r) => r.index));
+    const pending = requests.filter((r) => !done.has(r.index));
+    const expired = () => nowSeconds() >= batch.expires_at;
+
+    // 每个 worker 等自己那一行跑完才取下一行，所以结束时 next 之前的行都已经有结果
+    let next = 0;
+    const worker = async () => {
+      while (next < pending.length && !controller.signal.aborted && !expired()) {
+        const request = pending[next++];
+        const result = await runBatchRequest(batch, request, controller.signal);
+        if (!result) continue;
+        fs.appendFileSync(resultsPath(id), `${JSON.stringify(result)}\n`);
+        // 取消时磁盘上的状态已经是 cancelling，只更新计数
+        const latest = loadBatch(id) || batch;
+        latest.request_counts[result.ok ? "completed" : "failed"] += 1;
+        saveBatch(latest);
+        batch = latest;
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.max(config.batch.concurrency, 1) }, worker)
+    );
+
+    batch = loadBatch(id) || batch;
+    if (batch.status === "cancelling") return await finalizeBatch(batch, "cancelled");
+    if (next < pending.length && expired()) return await finalizeBatch(batch, "expired");
+    return await finalizeBatch(batch, "completed");
+  } finally {
+    running.delete(id);
+  }
+}
+
+/**
+ * 跑一行；批量取消导致的中止返回 null（这一行不算完成，也不写结果）
+ * @returns {Promise<{index: number, ok: boolean, record: Object}|null>}
+ */
+async function runBatchRequest(batch, request, batchSignal) {
+  const requestId = `batch_req_${crypto.randomBytes(12).toString("hex")}`;
+  return runWithRequestContext(requestId, async (ctx) => {
+    // 每行单独计算总超时，批量取消时跟着中止
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(batchSignal.reason);
+    batchSignal.addEventListener("abort", onAbort, { once: true });
+    const timer = setTimeout(
+      () => controller.abort(upstreamTimeoutError("total", config.timeouts.totalMs)),
+      config.timeouts.totalMs
+    );
+
+    const record = { id: requestId, custom_id: request.customId, response: null, error: null };
+    try {
+      const body = await BATCH_ENDPOINTS[batch.endpoint](batch, request.body, controller.signal);
+      record.response = {
+        status_code: 200,
+        request_id: ctx.upstreamRequestId || requestId,
+        body
+      };
+      return { index: request.index, ok: true, record };
+    } catch (err) {
+      if (err.cancelled && batchSignal.aborted) return null;
+      const apiErr = mapUpstreamError(err);
+      logger.warn("batch request failed", {
+        batch_id: batch.id,
+        custom_id: request.customId,
+        outcome: describeOutcome(err),
+        err
+      });
+      record.response = {
+        status_code: apiErr.status || 500,
+        request_id: ctx.upstreamRequestId || requestId,
+        body: toOpenAIErrorPayload(apiErr)
+      };
+      return { index: request.index, ok: false, record };
+    } finally {
+      clearTimeout(timer);
+      batchSignal.removeEventListener("abort", onAbort);
+    }
+  });
+}
+
+/**
+ * /v1/chat/completions 的一行：和同步接口走同一套转换，只是不支持流式
+ */
+async function runChatCompletion(batch, rawBody, signal) {
+  const apiKey = batch.keyId ? getKeyById(batch.keyId) : null;
+  if (batch.keyId && !apiKey) {
+    throw createApiError(401, "The API key that created this batch has been revoked", {
+      code: "invalid_api_key"
+    });
+  }
+  const model = resolveModelAlias(rawBody.model || config.defaultModel);
+  const body = { ...getModelInfo(model).defaults, ...rawBody };
+  if (!config.allowedModels.includes(model)) {
+    throw invalidRequestError(`Model ${model} is not in allowed list`, "model");
+  }
+  if (!isModelAllowedForKey(apiKey, model)) {
+    throw createApiError(403, `This API key is not allowed to use model ${model}`, {
+      param: "model",
+      code: "model_not_allowed"
+    });
+  }
+  if (body.stream) {
+    throw invalidRequestError("stream is not supported in batch requests", "stream");
+  }
+  // 每一行都占用 key 的 RPM / TPM 和日 / 月额度，超限的行直接写错误结果，不请求上游
+  if (apiKey) {
+    const limit = checkRateLimits(apiKey);
+    if (!limit.ok) {
+      throw createApiError(limit.status, limit.message, {
+        type: limit.type,
+        code: limit.type === "insufficient_quota" ? "budget_exceeded" : limit.code
+      });
+    }
+  }
+
+  const claudeReq = mapOpenAIRequestToClaude(body, model, {
+    paramMode: apiKey && apiKey.paramMode
+  });
+  assertModelCapabilities(model, claudeReq);
+  await inlineRemoteImages(claudeReq.messages);
+
+  const startedAt = Date.now();
+  const vertexResp = await callWithStructuredOutput(claudeReq, (request) =>
+    callClaudeMessages({ ...request, model, stream: false, signal })
+  );
+  recordRequestUsage(
+    { apiKey, startedAt },
+    {
+      model,
+      usage: vertexResp.usage,
+      endpoint: "batch.chat.completions",
+      user: body.user
+    }
+  );
+  return mapClaudeResponseToOpenAI(vertexResp, model, {
+    responseFormat: claudeReq.responseFormat
+  });
+}
+
+function failBatch(batch, errors) {
+  batch.status = "failed";
+  batch.failed_at = nowSeconds();
+  batch.errors = { object: "list", data: errors };
+  saveBatch(batch);
+  logger.warn("batch validation failed", { batch_id: batch.id, errors: errors.length });
+  return batch;
+}
+
+/**
+ * 按输入顺序写出 output / error 文件，然后进入终态
+ * 每写出一个文件就记到 batch 上，中途重启后重新收尾时不会再写一份
+ */
+async function finalizeBatch(batch, status) {
+  if (status === "completed") {
+    batch.status = "finalizing";
+    batch.finalizing_at = batch.finalizing_at || nowSeconds();
+    saveBatch(batch);
+  }
+
+  const results = readResults(batch.id).sort((a, b) => a.index - b.index);
+  const writeResults = async (ok, field, suffix) => {
+    if (batch[field]) return;
+    const lines = results.filter((r) => r.ok === ok).map((r) => JSON.stringify(r.record));
+    if (!lines.length) return;
+    const file = await createFile({
+      content: `${lines.join("\n")}\n`,
+      filename: `${batch.id}_${suffix}.jsonl`,
+      purpose: "batch_output",
+      keyId: batch.keyId
+    });
+    batch[field] = file.id;
+    saveBatch(batch);
+  };
+  await writeResults(true, "output_file_id", "output");
+  await writeResults(false, "error_file_id", "error");
+  batch.request_counts.completed = results.filter((r) => r.ok).length;
+  batch.request_counts.failed = results.length - batch.request_counts.completed;
+  batch.status = status;
+  batch[`${status}_at`] = nowSeconds();
+  saveBatch(batch);
+  fs.rmSync(resultsPath(batch.id), { force: true });
+
+  logger.info("batch finished", {
+    batch_id: batch.id,
+    status,
+    completed: batch.request_counts.completed,
+    failed: batch.request_counts.failed
+  });
+  return batch;
+}
+
+module.exports = {
+  BATCH_ENDPOINTS,
+  describeBatch,
+  createBatch,
+  getBatch,
+  listBatches,
+  cancelBatch,
+  resumeBatches
+};
@@ -0,0 +1,62 @@
+// src/citations.js
+
+/**
+ * Claude citations -> OpenAI message.annotations
+ * Claude 把引用挂在 text block 上（被引用支持的那段文字单独一个 block），
+ * OpenAI 的 annotation 用 start_index / end_index 指出 message.content 里对应的文字范围，
+ * 这里就用这个 text block 在拼接后的 content 里的位置
+ *
+ * 文档引用（char_location / page_location / content_block_location）统一转成 file_citation：
+ *   { type: "file_citation",
+ *     file_citation: { start_index, end_index, filename, document_index, cited_text,
+ *                      start_char_index / end_char_index          （纯文本文档）
+ *                      start_page_number / end_page_number        （PDF）
+ *                      start_block_index / end_block_index } }    （content 文档）
+ * web search 的引用（web_search_result_location）转成 url_citation：
+ *   { type: "url_citation", url_citation: { start_index, end_index, url, title } }
+ */
+
+const DOCUMENT_LOCATION_FIELDS = {
+  char_location: ["start_char_index", "end_char_index"],
+  page_location: ["start_page_number", "end_page_number"],
+  content_block_location: ["start_block_index", "end_block_index"]
+};
+
+/**
+ * @param {Object} citation Claude 的 citation 对象
+ * @param {number} startIndex 所在 text block 在 message.content 里的起始位置
+ * @param {number} endIndex 所在 text block 在 message.content 里的结束位置（不含）
+ * @returns {Object|null} 不认识的引用类型返回 null
+ */
+function mapCitationToAnnotation(citation, startIndex, endIndex) {
+  if (!citation) return null;
+  if (citation.type === "web_search_result_location") {
+    return {
+      type: "url_citation",
+      url_citation: {
+        start_index: startIndex,
+        end_index: endIndex,
+        url: citation.url,
+        title: citation.title ?? null
+      }
+    };
+  }
+  const locationFields = DOCUMENT_LOCATION_FIELDS[citation.type];
+  if (!locationFields) return null;
+
+  const fileCitation = {
+    start_index: startIndex,
+    end_index: endIndex,
+    filename: citation.document_title ?? null,
+    document_index: citation.document_index,
+    cited_text: citation.cited_text
+  };
+  for (const field of locationFields) {
+    if (citation[field] !== undefined) fileCitation[field] = citation[field];
+  }
+  return { type: "file_citation", file_citation: fileCitation };
+}
+
+module.exports = {
+  mapCitationToAnnotation
+};
@@ -0,0 +1,263 @@
+// src/completionsAdapter.js
+
+const crypto = require("crypto");
+
+const { config } = require("./config");
+const { invalidRequestError, toOpenAIErrorPayload } = require("./errors");
+const { resolveParamMode, checkOpenAIParams } = require("./openaiAdapter");
+
+/**
+ * 旧版 OpenAI Completions（POST /v1/completions）<-> Chat Completions
+ * 请求：prompt 转成 chat messages 后走 mapOpenAIRequestToClaude，和 /v1/chat/completions 同一条链路
+ *   - user 模式（默认）：prompt 作为一条 user 消息
+ *   - prefill 模式：prompt 作为 assistant 预填充，模型从 prompt 结尾接着写
+ *   - 带 suffix（fill-in-the-middle）：按 config.completions.fimTemplate 拼成一条 user 消息
+ * 响应：chat.completion / chat.completion.chunk 整理成 text_completion 对象
+ */
+
+/**
+ * Completions 参数对照表，规则同 OPENAI_PARAMS
+ */
+const COMPLETIONS_PARAMS = {
+  model: true,
+  prompt: true,
+  suffix: true,
+  stream: true,
+  stream_options: true,
+  max_tokens: true,
+  temperature: true,
+  top_p: true,
+  top_k: true,
+  stop: true,
+  echo: true,
+  user: true,
+  claude_metadata: true,
+  claude_prompt_cache: true,
+  claude_param_mode: true,
+  claude_prompt_mode: true, // user / prefill，覆盖 COMPLETIONS_PROMPT_MODE
+  n: (v) => v === 1,
+  best_of: (v) => v === 1,
+  logprobs: false,
+  presence_penalty: (v) => v === 0,
+  frequency_penalty: (v) => v === 0,
+  logit_bias: (v) => typeof v === "object" && !Object.keys(v).length,
+  seed: false
+};
+
+const PROMPT_MODES = ["user", "prefill"];
+
+// prefill 模式下 Claude 要求第一条是 user 消息
+const PREFILL_INSTRUCTION = "Continue the text.";
+
+/**
+ * prompt 可以是字符串或字符串数组（每个 prompt 一个 choice）；token id 数组没法转换
+ * @returns {Array<string>}
+ */
+function normalizePrompts(prompt) {
+  const prompts = Array.isArray(prompt) ? prompt : [prompt];
+  if (!prompts.length) {
+    throw invalidRequestError("prompt must not be empty", "prompt");
+  }
+  if (prompts.length > config.completions.maxPrompts) {
+    throw invalidRequestError(
+      `Too many prompts: ${prompts.length}. At most ${config.completions.maxPrompts} prompts are allowed per request`,
+      "prompt"
+    );
+  }
+  prompts.forEach((p, i) => {
+    const param = Array.isArray(prompt) ? `prompt[${i}]` : "prompt";
+    if (typeof p !== "string") {
+      throw invalidRequestError(
+        "prompt must be a string or an array of strings. Token arrays are not supported",
+        param
+      );
+    }
+    if (!p) throw invalidRequestError("prompt must not be empty", param);
+  });
+  return prompts;
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(prompt|suffix)\}/g, (_, name) => values[name]);
+}
+
+/**
+ * 单个 prompt -> messages
+ * @returns {{messages: Array<Object>, echoText: string}} echoText 是 echo=true 时回显在结果前面的文本
+ */
+function buildPromptMessages(prompt, suffix, mode) {
+  if (suffix) {
+    return {
+      messages: [
+        { role: "user", content: fillTemplate(config.completions.fimTemplate, { prompt, suffix }) }
+      ],
+      echoText: prompt
+    };
+  }
+  if (mode === "prefill") {
+    // Claude 不接受以空白结尾的 assistant 预填充，去掉结尾空白后由模型自己补
+    const prefill = prompt.trimEnd();
+    if (!prefill) {
+      throw invalidRequestError("prompt must not be blank in prefill mode", "prompt");
+    }
+    return {
+      messages: [
+        { role: "user", content: PREFILL_INSTRUCTION },
+        { role: "assistant", content: prefill }
+      ],
+      echoText: prefill
+    };
+  }
+  return { messages: [{ role: "user", content: prompt }], echoText: prompt };
+}
+
+/**
+ * Completions 请求 -> 每个 prompt 一个 Chat Completions 请求体
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {string} [options.paramMode] API key 上配置的参数模式
+ * @returns {{chatBodies: Array<Object>, echoTexts: Array<string|null>, droppedParams: Array<string>}}
+ */
+function mapCompletionsRequestToChat(body, { paramMode } = {}) {
+  const droppedParams = checkOpenAIParams(
+    body,
+    resolveParamMode(body.claude_param_mode, paramMode),
+    COMPLETIONS_PARAMS
+  );
+  const prompts = normalizePrompts(body.prompt);
+  if (body.stream && prompts.length > 1) {
+    throw invalidRequestError("Streaming is only supported with a single prompt", "prompt");
+  }
+  if (body.suffix !== undefined && body.suffix !== null && typeof body.suffix !== "string") {
+    throw invalidRequestError("suffix must be a string", "suffix");
+  }
+  if (body.suffix && body.echo) {
+    throw invalidRequestError("echo is not supported together with suffix", "echo");
+  }
+  const mode = body.claude_prompt_mode || config.completions.promptMode;
+  if (!PROMPT_MODES.includes(mode)) {
+    throw invalidRequestError(
+      `Invalid claude_prompt_mode: ${mode}. Expected one of: ${PROMPT_MODES.join(", ")}`,
+      "claude_prompt_mode"
+    );
+  }
+
+  const chatBodies = [];
+  const echoTexts = [];
+  for (const prompt of prompts) {
+    const { messages, echoText } = buildPromptMessages(prompt, body.suffix, mode);
+    const chatBody = {
+      model: body.model,
+      messages,
+      stream: body.stream,
+      stream_options: body.stream_options,
+      max_tokens: body.max_tokens,
+      temperature: body.temperature,
+      top_p: body.top_p,
+      top_k: body.top_k,
+      stop: body.stop,
+      user: body.user,
+      claude_metadata: body.claude_metadata,
+      claude_prompt_cache: body.claude_prompt_cache
+    };
+    for (const key of Object.keys(chatBody)) {
+      if (chatBody[key] === undefined || chatBody[key] === null) delete chatBody[key];
+    }
+    chatBodies.push(chatBody);
+    echoTexts.push(body.echo ? echoText : null);
+  }
+  return { chatBodies, echoTexts, droppedParams };
+}
+
+/**
+ * text_completion 对象里每个 chunk / 响应都相同的字段
+ */
+function buildCompletionShell(model) {
+  return {
+    id: `cmpl-${crypto.randomBytes(12).toString("hex")}`,
+    object: "text_completion",
+    created: Math.floor(Date.now() / 1000),
+    model
+  };
+}
+
+// Completions 只有 stop / length / content_filter，工具调用之类都按 stop 处理
+function toCompletionFinishReason(finishReason) {
+  return ["stop", "length", "content_filter"].includes(finishReason)
+    ? finishReason
+    : "stop";
+}
+
+/**
+ * 多个 chat.completion（每个 prompt 一个）-> 一个 text_completion，usage 相加
+ */
+function chatCompletionsToTextCompletion(oaiResps, shell, echoTexts) {
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  const choices = oaiResps.map((oaiResp, index) => {
+    const choice = oaiResp.choices[0];
+    for (const key of Object.keys(usage)) {
+      usage[key] += (oaiResp.usage && oaiResp.usage[key]) || 0;
+    }
+    return {
+      text: (echoTexts[index] || "") + (choice.message.content || ""),
+      index,
+      logprobs: null,
+      finish_reason: toCompletionFinishReason(choice.finish_reason)
+    };
+  });
+  return { ...shell, choices, usage };
+}
+
+/**
+ * 流式：把 chat.completion.chunk 转成 text_completion chunk，接口同 server.js 的 createChatChunkSink
+ * 只转发 delta.content；reasoning_content / claude_thinking_state 之类没有对应字段，直接丢掉
+ * @param {import("express").Response} res
+ * @param {Object} shell buildCompletionShell 的结果
+ * @param {Object} [options]
+ * @param {string|null} [options.echoText] echo=true 时在第一个 chunk 里先回显 prompt
+ */
+function createCompletionsStreamSink(res, shell, { echoText = null } = {}) {
+  let echoed = !echoText;
+  const send = (choices, usage) => {
+    const chunk = { ...shell, choices };
+    if (usage !== undefined) chunk.usage = usage;
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  };
+  const sendText = (text, finishReason = null) => {
+    send([{ text, index: 0, logprobs: null, finish_reason: finishReason }]);
+  };
+
+  return {
+    write(chunk) {
+      if (!echoed) {
+        echoed = true;
+        sendText(echoText);
+      }
+      // include_usage 的最后一个 chunk：choices 为空，只带 usage
+      if (!chunk.choices.length) {
+        return send([], chunk.usage);
+      }
+      const choice = chunk.choices[0];
+      if (choice.finish_reason) {
+        return sendText("", toCompletionFinishReason(choice.finish_reason));
+      }
+      if (choice.delta.content) sendText(choice.delta.content);
+    },
+    fail(err) {
+      res.write(`data: ${JSON.stringify(toOpenAIErrorPayload(err))}\n\n`);
+      res.end();
+    },
+    end() {
+      res.write("data: [DONE]\n\n");
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  COMPLETIONS_PARAMS,
+  mapCompletionsRequestToChat,
+  buildCompletionShell,
+  chatCompletionsToTextCompletion,
+  createCompletionsStreamSink
+};
@@ -1,5 +1,8 @@
 // src/config.js
 
+const fs = require("fs");
+const path = require("path");
+
 const DEFAULT_MODEL_LIST = [
   // 这里用的是官方 Claude on Vertex AI 文档里的模型 ID，可按自己区域可用情况调整 :contentReference[oaicite:4]{index=4}
   "claude-opus-4-6",
@@ -26,13 +29,115 @@ const allowedModels = parseList(
   DEFAULT_MODEL_LIST
 );
 
+function parsePrivateKey(value) {
+  return value ? value.replace(/\\n/g, "\n") : undefined;
+}
+
+/**
+ * VERTEX_CREDENTIALS_JSON / target.credentialsJson：完整的 JSON key，也接受 base64 编码后的 JSON
+ * （环境变量里放多行 private_key 不方便时用）
+ */
+function parseCredentialsJson(value, name) {
+  if (!value) return undefined;
+  if (typeof value === "object") return value;
+  const text = value.trim().startsWith("{")
+    ? value
+    : Buffer.from(value, "base64").toString("utf8");
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${name} is not valid JSON: ${err.message}`);
+  }
+}
+
+// target 里写了其中任何一个时，凭证完全由 target 自己决定，不再继承顶层的另外几个
+const CREDENTIAL_FIELDS = ["credentialsJson", "keyFile", "clientEmail", "privateKey"];
+
+/**
+ * 多区域 / 多凭证：VERTEX_TARGETS（JSON 数组）或 VERTEX_TARGETS_FILE（JSON 文件路径）
+ * 每项：{ name, projectId, location, credentialsJson, keyFile, clientEmail, privateKey,
+ *         impersonateServiceAccount, weight }
+ * 没写的字段继承顶层 VERTEX_* 变量；都没配置时只有一个默认 target
+ * 凭证的几种来源和优先级见 credentials.js
+ */
+function parseTargets() {
+  let raw = process.env.VERTEX_TARGETS;
+  if (!raw && process.env.VERTEX_TARGETS_FILE) {
+    raw = fs.readFileSync(process.env.VERTEX_TARGETS_FILE, "utf8");
+  }
+
+  const defaults = {
+    projectId: process.env.VERTEX_PROJECT_ID,
+    location: process.env.VERTEX_LOCATION || "global",
+    credentialsJson: parseCredentialsJson(
+      process.env.VERTEX_CREDENTIALS_JSON,
+      "VERTEX_CREDENTIALS_JSON"
+    ),
+    keyFile: process.env.VERTEX_KEY_FILE,
+    clientEmail: process.env.VERTEX_CLIENT_EMAIL,
+    privateKey: parsePrivateKey(process.env.VERTEX_PRIVATE_KEY),
+    impersonateServiceAccount: process.env.VERTEX_IMPERSONATE_SERVICE_ACCOUNT
+  };
+
+  if (!raw) {
+    return [{ name: defaults.location, weight: 1, ...defaults }];
+  }
+
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`VERTEX_TARGETS is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(list) || !list.length) {
+    throw new Error("VERTEX_TARGETS must be a non-empty JSON array");
+  }
+
+  return list.map((t, i) => {
+    const inherited = { ...defaults };
+    if (CREDENTIAL_FIELDS.some((key) => t[key])) {
+      for (const key of CREDENTIAL_FIELDS) delete inherited[key];
+    }
+    const target = {
+      ...inherited,
+      ...t,
+      credentialsJson: t.credentialsJson
+        ? parseCredentialsJson(t.credentialsJson, `VERTEX_TARGETS[${i}].credentialsJson`)
+        : inherited.credentialsJson,
+      privateKey: t.privateKey ? parsePrivateKey(t.privateKey) : inherited.privateKey,
+      weight: typeof t.weight === "number" ? t.weight : 1
+    };
+    target.name = t.name || `${target.projectId}/${target.location}#${i}`;
+    return target;
+  });
+}
+
+const targets = parseTargets();
+
+/**
+ * UPSTREAM_REPLAY_FAULTS：JSON 数组，回放时注入的故障规则，字段见 upstreamFixtures.js 的 pickFault
+ */
+function parseReplayFaults() {
+  if (!process.env.UPSTREAM_REPLAY_FAULTS) return [];
+  let list;
+  try {
+    list = JSON.parse(process.env.UPSTREAM_REPLAY_FAULTS);
+  } catch (err) {
+    throw new Error(`UPSTREAM_REPLAY_FAULTS is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(list)) {
+    throw new Error("UPSTREAM_REPLAY_FAULTS must be a JSON array");
+  }
+  return list;
+}
+
+const dataDir = process.env.DATA_DIR || path.join(process.cwd(), "data");
+
 const config = {
   projectId: process.env.VERTEX_PROJECT_ID,
   location: process.env.VERTEX_LOCATION || "global", // 推荐 global 端点 :contentReference[oaicite:5]{index=5}
   clientEmail: process.env.VERTEX_CLIENT_EMAIL,
-  privateKey: process.env.VERTEX_PRIVATE_KEY
-    ? process.env.VERTEX_PRIVATE_KEY.replace(/\\n/g, "\n")
-    : undefined,
+  privateKey: parsePrivateKey(process.env.VERTEX_PRIVATE_KEY),
   anthropicVersion:
     process.env.VERTEX_ANTHROPIC_VERSION || "vertex-2023-10-16", // 官方要求这个值 :contentReference[oaicite:6]{index=6}
   defaultModel:
@@ -43,16 +148,154 @@ const config = {
     process.env.DEBUG === "1" ||
     process.env.DEBUG === "true" ||
     process.env.NODE_ENV === "development",
+  // 结构化日志里是否记录完整请求体（prompt），默认只记概要
+  logPrompts: process.env.LOG_PROMPTS === "1" || process.env.LOG_PROMPTS === "true",
+  // 可选：/metrics 的 Bearer token，不配置则不鉴权
+  metricsApiKey: process.env.METRICS_API_KEY || null,
   // 可选：如果你想给网关加一层 API Key 保护
-  proxyApiKey: process.env.PROXY_API_KEY || null
+  proxyApiKey: process.env.PROXY_API_KEY || null,
+  // 本地持久化数据目录（API Key、用量等）
+  dataDir,
+  // 多 key 管理：每个 key 单独的模型白名单、限流和额度，见 apiKeys.js
+  apiKeysFile:
+    process.env.API_KEYS_FILE || path.join(dataDir, "api-keys.json"),
+  // /admin 管理接口的密钥，不配置则管理接口不可用
+  adminApiKey: process.env.ADMIN_API_KEY || null,
+  // 用量日志（JSONL），USAGE_LOG=0 关闭
+  usageLogEnabled: process.env.USAGE_LOG !== "0" && process.env.USAGE_LOG !== "false",
+  usageLogFile:
+    process.env.USAGE_LOG_FILE || path.join(dataDir, "usage.jsonl"),
+  // 图片输入：inline = 网关下载远程图片后转 base64；url = 直接把 URL 交给上游
+  imageUrlMode: process.env.IMAGE_URL_MODE === "url" ? "url" : "inline",
+  imageMaxBytes: Number(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024,
+  imageFetchTimeoutMs: Number(process.env.IMAGE_FETCH_TIMEOUT_MS) || 15_000,
+  // 默认不允许下载回环 / 内网 / 链路本地地址上的图片，网关和图片源都在内网时可以打开
+  imageFetchAllowPrivate: process.env.IMAGE_FETCH_ALLOW_PRIVATE === "true",
+  // prompt caching 默认模式：off / explicit / auto，见 promptCache.js
+  promptCacheMode: ["off", "auto"].includes(process.env.PROMPT_CACHE_MODE)
+    ? process.env.PROMPT_CACHE_MODE
+    : "explicit",
+  // 不支持的 OpenAI 参数：lenient（默认，丢弃并加 x-gateway-warning 头）/ strict（返回 400）
+  // 可以被 API key 上的 paramMode 和请求里的 claude_param_mode 覆盖
+  paramMode: process.env.PARAM_MODE === "strict" ? "strict" : "lenient",
+  // response_format json_schema strict 模式下，输出不符合 schema 时的最大重试次数
+  structuredOutputMaxRetries: process.env.STRUCTURED_OUTPUT_MAX_RETRIES
+    ? Number(process.env.STRUCTURED_OUTPUT_MAX_RETRIES)
+    : 1,
+  // thinking block 多轮回传：claude_thinking_state 的 HMAC 密钥（多实例部署时需要配置成同一个）
+  thinkingStateSecret: process.env.THINKING_STATE_SECRET || null,
+  // 服务端按 tool_call id 缓存 thinking block，设为 0 关闭
+  thinkingCacheMax: process.env.THINKING_CACHE_MAX
+    ? Number(process.env.THINKING_CACHE_MAX)
+    : 1000,
+  thinkingCacheTtlMs: Number(process.env.THINKING_CACHE_TTL_MS) || 60 * 60_000,
+  // 上游 target 列表及故障转移策略
+  targets,
+  // ordered：按配置顺序依次尝试；weighted：按 weight 随机排序
+  targetStrategy:
+    process.env.VERTEX_TARGET_STRATEGY === "weighted" ? "weighted" : "ordered",
+  // access token：离过期不到这个时间时后台提前刷新，见 credentials.js
+  auth: {
+    refreshMarginMs: Number(process.env.VERTEX_TOKEN_REFRESH_MARGIN_MS) || 5 * 60_000
+  },
+  retry: {
+    maxAttempts: Number(process.env.VERTEX_MAX_ATTEMPTS) || 3,
+    baseDelayMs: Number(process.env.VERTEX_RETRY_BASE_MS) || 500,
+    maxDelayMs: Number(process.env.VERTEX_RETRY_MAX_MS) || 8000
+  },
+  breaker: {
+    // 连续失败多少次后熔断，熔断多久后放行一次试探请求
+    threshold: Number(process.env.VERTEX_BREAKER_THRESHOLD) || 5,
+    cooldownMs: Number(process.env.VERTEX_BREAKER_COOLDOWN_MS) || 30_000
+  },
+  timeouts: {
+    // 流式请求：等到响应头的时间（每次尝试单独计时，超时后换 target 重试）
+    connectMs: Number(process.env.UPSTREAM_CONNECT_TIMEOUT_MS) || 10_000,
+    // 流式请求：响应头之后等到第一个 SSE chunk 的时间（同上）
+    firstByteMs: Number(process.env.UPSTREAM_FIRST_BYTE_TIMEOUT_MS) || 60_000,
+    // 非流式请求：每次尝试等到读完整个响应的时间（Vertex 生成完才返回响应头，同上可重试）
+    responseMs: Number(process.env.UPSTREAM_RESPONSE_TIMEOUT_MS) || 5 * 60_000,
+    // 整个请求（含重试和读完整个流）的上限，流式和非流式都适用
+    totalMs: Number(process.env.UPSTREAM_TOTAL_TIMEOUT_MS) || 10 * 60_000
+  },
+  // 上游一直没有输出时，每隔多久给客户端发一个 SSE 注释行保活，0 关闭
+  sseKeepaliveMs: process.env.SSE_KEEPALIVE_MS
+    ? Number(process.env.SSE_KEEPALIVE_MS)
+    : 15_000,
+  // 响应缓存：off（默认）/ memory / disk，见 responseCache.js
+  responseCache: {
+    backend: ["memory", "disk"].includes(process.env.RESPONSE_CACHE)
+      ? process.env.RESPONSE_CACHE
+      : "off",
+    dir: process.env.RESPONSE_CACHE_DIR || path.join(dataDir, "response-cache"),
+    ttlMs: Number(process.env.RESPONSE_CACHE_TTL_MS) || 60 * 60_000,
+    maxEntries: Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 1000,
+    // 所有条目合计的字节上限，单条超过上限的响应不缓存
+    maxBytes: Number(process.env.RESPONSE_CACHE_MAX_BYTES) || 100 * 1024 * 1024
+  },
+  // Batch API：上传的文件和批处理任务的持久化目录、每个任务的并发请求数，见 batches.js
+  batch: {
+    filesDir: process.env.FILES_DIR || path.join(dataDir, "files"),
+    dir: process.env.BATCHES_DIR || path.join(dataDir, "batches"),
+    concurrency: Number(process.env.BATCH_CONCURRENCY) || 4,
+    maxFileBytes: Number(process.env.FILE_MAX_BYTES) || 100 * 1024 * 1024
+  },
+  // /v1/responses 保存的会话（previous_response_id 用），见 responseStore.js
+  responsesDir: process.env.RESPONSES_DIR || path.join(dataDir, "responses"),
+  // 上游录制 / 回放：live（默认）/ record / replay，见 upstreamFixtures.js
+  upstream: {
+    mode: ["record", "replay"].includes(process.env.UPSTREAM_MODE)
+      ? process.env.UPSTREAM_MODE
+      : "live",
+    fixturesDir: process.env.UPSTREAM_FIXTURES_DIR || path.join(dataDir, "fixtures"),
+    // 回放时 chunk 间隔 / 响应头延迟的倍数，0 表示不等待
+    replaySpeed: process.env.UPSTREAM_REPLAY_SPEED
+      ? Number(process.env.UPSTREAM_REPLAY_SPEED)
+      : 1,
+    replayFaults: parseReplayFaults()
+  },
+  // 旧版 /v1/completions，见 completionsAdapter.js
+  completions: {
+    // user：prompt 作为 user 消息；prefill：prompt 作为 assistant 预填充，模型接着写
+    promptMode: process.env.COMPLETIONS_PROMPT_MODE === "prefill" ? "prefill" : "user",
+    // prompt 数组最多几个（每个 prompt 一次上游请求）
+    maxPrompts: Number(process.env.COMPLETIONS_MAX_PROMPTS) || 16,
+    // 带 suffix 的 fill-in-the-middle 请求用的 prompt 模板，{prompt} / {suffix} 是占位符
+    fimTemplate:
+      process.env.COMPLETIONS_FIM_TEMPLATE ||
+      "Fill in the missing part marked <FILL_ME>. Reply with only the text that replaces " +
+        "<FILL_ME>, without explanations or code fences.\n\n{prompt}<FILL_ME>{suffix}"
+  }
 };
 
 function assertConfig() {
   const missing = [];
-  if (!config.projectId) missing.push("VERTEX_PROJECT_ID");
-  if (!config.location) missing.push("VERTEX_LOCATION");
-  if (!config.clientEmail) missing.push("VERTEX_CLIENT_EMAIL");
-  if (!config.privateKey) missing.push("VERTEX_PRIVATE_KEY");
+  // 回放模式不访问 Vertex，不需要项目和凭证
+  const replaying = config.upstream.mode === "replay";
+  const fields = replaying
+    ? []
+    : [
+        ["projectId", "VERTEX_PROJECT_ID"],
+        ["location", "VERTEX_LOCATION"]
+      ];
+  const multiTarget = !!(process.env.VERTEX_TARGETS || process.env.VERTEX_TARGETS_FILE);
+  // 单 target 时沿用原来的环境变量名，方便对照
+  const nameOf = (target, key, envName) =>
+    multiTarget ? `VERTEX_TARGETS[${target.name}].${key}` : envName;
+  for (const target of config.targets) {
+    for (const [key, envName] of fields) {
+      if (!target[key]) missing.push(nameOf(target, key, envName));
+    }
+    // 凭证可以不配（用 ADC），但 service account 的两个字段要么都有要么都没有
+    if (!replaying && !target.credentialsJson && !target.keyFile) {
+      if (target.clientEmail && !target.privateKey) {
+        missing.push(nameOf(target, "privateKey", "VERTEX_PRIVATE_KEY"));
+      }
+      if (target.privateKey && !target.clientEmail) {
+        missing.push(nameOf(target, "clientEmail", "VERTEX_CLIENT_EMAIL"));
+      }
+    }
+  }
   if (!config.defaultModel) missing.push("VERTEX_DEFAULT_MODEL 或 VERTEX_ALLOWED_MODELS 列表");
 
   if (missing.length) {
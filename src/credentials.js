@@ -0,0 +1,244 @@
+// src/credentials.js
+
+const fs = require("fs");
+const { GoogleAuth, Impersonated } = require("google-auth-library");
+
+const { config } = require("./config");
+const { logger } = require("./logger");
+
+/**
+ * Vertex 凭证与 access token
+ * 凭证来源，每个 target 各自解析，按优先级取第一个配置了的：
+ *   json             VERTEX_CREDENTIALS_JSON / target.credentialsJson：完整的 JSON key
+ *   key_file         VERTEX_KEY_FILE / target.keyFile：JSON key 文件路径
+ *   service_account  VERTEX_CLIENT_EMAIL + VERTEX_PRIVATE_KEY
+ *   adc              都没配置时用 Application Default Credentials
+ *                    （GOOGLE_APPLICATION_CREDENTIALS、gcloud 登录、GCE / GKE / Cloud Run 元数据服务）
+ * JSON key 的 type 可以是 service_account、external_account（Workload Identity Federation）、
+ * authorized_user、impersonated_service_account，由 google-auth-library 识别
+ * 配置了 VERTEX_IMPERSONATE_SERVICE_ACCOUNT 时，再用上面的凭证换取这个服务账号的短期 token
+ *
+ * token 按真实的 expiry_date 缓存，离过期不到 config.auth.refreshMarginMs 时在后台提前刷新；
+ * 每个 target 同一时间只有一个刷新请求，并发请求共用它的结果
+ */
+
+const SCOPES = ["https://www.googleapis.com/auth/cloud-platform"];
+
+// 离过期不到这个时间的 token 不再使用，请求直接等刷新
+const EXPIRY_SAFETY_MS = 60_000;
+// 凭证没给 expiry_date 时按这个有效期算
+const FALLBACK_TOKEN_LIFETIME_MS = 30 * 60_000;
+// 后台刷新的最短间隔（避免有效期异常短时不停刷新）和失败后的重试间隔
+const MIN_REFRESH_DELAY_MS = 10_000;
+const REFRESH_RETRY_MS = 30_000;
+
+const JSON_KEY_TYPES = [
+  "service_account",
+  "external_account",
+  "authorized_user",
+  "impersonated_service_account",
+  "external_account_authorized_user"
+];
+
+// target.name -> { clientPromise, token, expiresAt, refreshing, timer }
+const tokenStates = new Map();
+
+function readKeyFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new Error(`Cannot read key file ${file}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Key file ${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * 确定 target 用哪种凭证
+ * @returns {{source: string, json: Object|null}} json 为 null 表示用 ADC
+ */
+function resolveCredentials(target) {
+  let resolved;
+  if (target.credentialsJson) {
+    resolved = { source: "json", json: target.credentialsJson };
+  } else if (target.keyFile) {
+    resolved = { source: "key_file", json: readKeyFile(target.keyFile) };
+  } else if (target.clientEmail && target.privateKey) {
+    resolved = {
+      source: "service_account",
+      json: {
+        type: "service_account",
+        client_email: target.clientEmail,
+        private_key: target.privateKey
+      }
+    };
+  } else {
+    return { source: "adc", json: null };
+  }
+
+  const { json } = resolved;
+  if (!JSON_KEY_TYPES.includes(json.type)) {
+    throw new Error(
+      `Unsupported credential type "${json.type}" for target ${target.name}. Expected one of: ${JSON_KEY_TYPES.join(", ")}`
+    );
+  }
+  if (json.type === "service_account" && !(json.client_email && json.private_key)) {
+    throw new Error(
+      `Service account key for target ${target.name} must contain client_email and private_key`
+    );
+  }
+  return resolved;
+}
+
+/**
+ * 日志里展示的凭证身份：服务账号邮箱，或者 external_account 的 audience
+ */
+function describePrincipal(json) {
+  if (!json) return undefined;
+  if (json.client_email) return json.client_email;
+  const impersonation = json.service_account_impersonation_url;
+  if (impersonation) {
+    const match = impersonation.match(/serviceAccounts\/([^:/]+)/);
+    if (match) return match[1];
+  }
+  return json.audience || json.client_id;
+}
+
+/**
+ * 启动时检查每个 target 的凭证配置（key 文件能否读取、JSON 格式和 type），
+ * 并在日志里写明每个 target 用的是哪种凭证；配置有问题时直接抛错
+ * 这一步不发网络请求，token 能否真正取到见 warmUpCredentials
+ */
+function checkCredentials() {
+  for (const target of config.targets) {
+    const { source, json } = resolveCredentials(target);
+    logger.info("vertex credentials", {
+      target: target.name,
+      source,
+      type: json ? json.type : undefined,
+      principal: describePrincipal(json),
+      impersonate: target.impersonateServiceAccount
+    });
+  }
+}
+
+async function createClient(target) {
+  const { json } = resolveCredentials(target);
+  // 和我们的提前刷新时间对齐，否则 google-auth-library 会直接返回它自己缓存的旧 token
+  const eagerRefreshThresholdMillis = config.auth.refreshMarginMs;
+  const auth = new GoogleAuth({
+    ...(json ? { credentials: json } : {}),
+    scopes: SCOPES,
+    clientOptions: { eagerRefreshThresholdMillis }
+  });
+  const client = await auth.getClient();
+  if (!target.impersonateServiceAccount) return client;
+  return new Impersonated({
+    sourceClient: client,
+    targetPrincipal: target.impersonateServiceAccount,
+    targetScopes: SCOPES,
+    lifetime: 3600,
+    eagerRefreshThresholdMillis
+  });
+}
+
+function getTokenState(target) {
+  let state = tokenStates.get(target.name);
+  if (!state) {
+    state = { clientPromise: null, token: null, expiresAt: 0, refreshing: null, timer: null };
+    tokenStates.set(target.name, state);
+  }
+  return state;
+}
+
+async function fetchToken(target, state) {
+  const startedAt = Date.now();
+  if (!state.clientPromise) {
+    state.clientPromise = createClient(target).catch((err) => {
+      // 下次刷新重新创建（比如元数据服务暂时不可用）
+      state.clientPromise = null;
+      throw err;
+    });
+  }
+  const client = await state.clientPromise;
+  const { token } = await client.getAccessToken();
+  if (!token) {
+    throw new Error(`Failed to obtain access token for target ${target.name}`);
+  }
+  const expiry = client.credentials && client.credentials.expiry_date;
+  state.token = token;
+  state.expiresAt = expiry > Date.now() ? expiry : Date.now() + FALLBACK_TOKEN_LIFETIME_MS;
+  logger.debug("access token refreshed", {
+    target: target.name,
+    expires_in_ms: state.expiresAt - Date.now(),
+    duration_ms: Date.now() - startedAt
+  });
+  scheduleRefresh(target, state, state.expiresAt - config.auth.refreshMarginMs - Date.now());
+  return token;
+}
+
+// 单飞：正在刷新时直接等同一个 promise
+function refreshToken(target, state) {
+  if (!state.refreshing) {
+    state.refreshing = fetchToken(target, state).finally(() => {
+      state.refreshing = null;
+    });
+  }
+  return state.refreshing;
+}
+
+function scheduleRefresh(target, state, delayMs) {
+  clearTimeout(state.timer);
+  state.timer = setTimeout(() => {
+    refreshToken(target, state).catch((err) => {
+      logger.warn("background token refresh failed", { target: target.name, err });
+      // 旧 token 还能用就过一会儿再试；已经不能用的话下一个请求会自己刷新
+      if (Date.now() < state.expiresAt - EXPIRY_SAFETY_MS) {
+        scheduleRefresh(target, state, REFRESH_RETRY_MS);
+      }
+    });
+  }, Math.max(delayMs, MIN_REFRESH_DELAY_MS));
+  // 后台刷新不阻止进程退出
+  state.timer.unref();
+}
+
+/**
+ * @param {Object} target config.targets 里的一项
+ * @returns {Promise<string>}
+ */
+async function getAccessToken(target) {
+  const state = getTokenState(target);
+  if (state.token && Date.now() < state.expiresAt - EXPIRY_SAFETY_MS) {
+    return state.token;
+  }
+  return refreshToken(target, state);
+}
+
+/**
+ * 启动后在后台给每个 target 取一次 token：第一个请求不用等，凭证有问题时也能尽早在日志里看到
+ */
+function warmUpCredentials() {
+  for (const target of config.targets) {
+    getAccessToken(target).then(
+      () => {
+        logger.info("vertex credentials ready", {
+          target: target.name,
+          expires_in_ms: getTokenState(target).expiresAt - Date.now()
+        });
+      },
+      (err) => {
+        logger.error("vertex credentials failed", { target: target.name, err });
+      }
+    );
+  }
+}
+
+module.exports = {
+  checkCredentials,
+  warmUpCredentials,
+  getAccessToken
+};
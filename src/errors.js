@@ -0,0 +1,146 @@
+// src/errors.js
+
+/**
+ * 构造一个带 HTTP 状态码的 OpenAI 风格错误
+ * server.js 的错误处理会把 status / type / param / code 原样透给客户端
+ */
+function createApiError(
+  status,
+  message,
+  { type = "invalid_request_error", param = null, code = null } = {}
+) {
+  const err = new Error(message);
+  err.status = status;
+  err.type = type;
+  err.param = param;
+  err.code = code;
+  return err;
+}
+
+/**
+ * 400 invalid_request_error 的快捷方式
+ */
+function invalidRequestError(message, param = null, code = null) {
+  return createApiError(400, message, { param, code });
+}
+
+/**
+ * 解析 vertexClient 抛出的上游错误体，两种格式：
+ *   - Anthropic：{ type: "error", error: { type, message } }
+ *   - Google：{ error: { code, message, status } }（有时外面再包一层数组）
+ * @returns {{type?: string, status?: string, message?: string}}
+ */
+function parseUpstreamErrorBody(body) {
+  if (!body) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch {
+    return { message: String(body).slice(0, 500) };
+  }
+  if (Array.isArray(parsed)) parsed = parsed[0];
+  const error = parsed && parsed.error;
+  if (!error || typeof error !== "object") return {};
+  return {
+    type: parsed.type === "error" ? error.type : undefined,
+    status: typeof error.status === "string" ? error.status : undefined,
+    message: error.message
+  };
+}
+
+const CONTEXT_LENGTH_PATTERN =
+  /prompt is too long|context (length|window)|too many (input )?tokens|exceeds? the (maximum|max)/i;
+
+/**
+ * 上游（Vertex / Claude）错误 -> OpenAI 风格错误
+ * 只处理 vertexClient 标记了 upstream 的错误，其他错误原样返回
+ * - 429 限流 -> requests / rate_limit_exceeded，带上 Retry-After
+ * - 计费 / 配额耗尽 -> insufficient_quota
+ * - prompt 过长 -> invalid_request_error / context_length_exceeded
+ * - overloaded_error（529）-> 503 server_error / overloaded
+ * - 上游鉴权失败是网关配置问题，按 502 server_error 返回，不让客户端误以为自己的 key 有问题
+ */
+function mapUpstreamError(err) {
+  if (!err || !err.upstream) return err;
+
+  const { type, status: googleStatus, message: upstreamMessage } =
+    parseUpstreamErrorBody(err.body);
+  const message = upstreamMessage || err.message || "Upstream request failed";
+  const mapped = (status, options) => {
+    const apiErr = createApiError(status, message, options);
+    if (err.retryAfter) apiErr.retryAfter = err.retryAfter;
+    return apiErr;
+  };
+
+  if (!err.status) {
+    // 网络错误、超时等，没拿到上游响应
+    return mapped(502, { type: "server_error", code: "upstream_unreachable" });
+  }
+  if (
+    type === "overloaded_error" ||
+    err.status === 529 ||
+    /overloaded/i.test(message)
+  ) {
+    return mapped(503, { type: "server_error", code: "overloaded" });
+  }
+  if (/billing|insufficient.*(quota|credit|balance)/i.test(message)) {
+    return mapped(429, { type: "insufficient_quota", code: "insufficient_quota" });
+  }
+  if (
+    err.status === 429 ||
+    type === "rate_limit_error" ||
+    googleStatus === "RESOURCE_EXHAUSTED"
+  ) {
+    return mapped(429, { type: "requests", code: "rate_limit_exceeded" });
+  }
+  if (err.status === 401 || err.status === 403) {
+    return mapped(502, { type: "server_error", code: "upstream_auth_error" });
+  }
+  if (err.status === 404) {
+    return mapped(404, { param: "model", code: "model_not_found" });
+  }
+  if (err.status === 413 || type === "request_too_large") {
+    return mapped(413, { code: "request_too_large" });
+  }
+  if (err.status >= 400 && err.status < 500) {
+    if (CONTEXT_LENGTH_PATTERN.test(message)) {
+      return mapped(400, { param: "messages", code: "context_length_exceeded" });
+    }
+    return mapped(err.status, {});
+  }
+  if (err.status === 504 || googleStatus === "DEADLINE_EXCEEDED") {
+    return mapped(504, { type: "server_error", code: "timeout" });
+  }
+  return mapped(err.status === 503 ? 503 : 500, { type: "server_error" });
+}
+
+/**
+ * OpenAI 流式响应中途出错时下发的 error payload（openai SDK 会据此抛 APIError）
+ */
+function toOpenAIErrorPayload(err) {
+  return {
+    error: {
+      message: err.message || "Internal Server Error",
+      type: err.type || "server_error",
+      param: err.param ?? null,
+      code: err.code ?? null
+    }
+  };
+}
+
+/**
+ * 按 OpenAI 的 { error: {...} } 格式返回错误，上游错误会先经过 mapUpstreamError
+ */
+function sendOpenAIError(res, err) {
+  const apiErr = mapUpstreamError(err);
+  if (apiErr.retryAfter) res.setHeader("Retry-After", String(apiErr.retryAfter));
+  return res.status(apiErr.status || 500).json(toOpenAIErrorPayload(apiErr));
+}
+
+module.exports = {
+  createApiError,
+  invalidRequestError,
+  mapUpstreamError,
+  toOpenAIErrorPayload,
+  sendOpenAIError
+};
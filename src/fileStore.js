@@ -0,0 +1,125 @@
+// src/fileStore.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { config } = require("./config");
+
+/**
+ * OpenAI Files API 的本地存储（Batch API 的输入 / 输出文件）
+ * 每个文件两份：<dir>/<id>.json 是 File 对象（外加 keyId），<dir>/<id>.data 是内容
+ * keyId 记录上传者，有 API Key 时只能看到自己的文件
+ */
+
+const FILE_PURPOSES = ["batch", "batch_output"];
+
+function fileDir() {
+  fs.mkdirSync(config.batch.filesDir, { recursive: true });
+  return config.batch.filesDir;
+}
+
+function metaPath(id) {
+  return path.join(fileDir(), `${id}.json`);
+}
+
+function dataPath(id) {
+  return path.join(fileDir(), `${id}.data`);
+}
+
+// id 会拼进文件路径，只接受我们自己生成的格式
+function isValidFileId(id) {
+  return typeof id === "string" && /^file-[0-9a-f]{24}$/.test(id);
+}
+
+/**
+ * 对外展示用：去掉 keyId
+ */
+function describeFile(record) {
+  const { keyId, ...rest } = record;
+  return rest;
+}
+
+function canAccess(record, keyId) {
+  return !keyId || !record.keyId || record.keyId === keyId;
+}
+
+/**
+ * 保存一个文件，返回内部记录（含 keyId）
+ * @param {Object} options
+ * @param {Buffer|string} options.content
+ * @param {string} options.filename
+ * @param {string} options.purpose batch / batch_output
+ * @param {string} [options.keyId] 上传者的 API Key id
+ */
+async function createFile({ content, filename, purpose, keyId = null }) {
+  const id = `file-${crypto.randomBytes(12).toString("hex")}`;
+  const record = {
+    id,
+    object: "file",
+    bytes: Buffer.byteLength(content),
+    created_at: Math.floor(Date.now() / 1000),
+    filename,
+    purpose,
+    keyId
+  };
+  await fs.promises.writeFile(dataPath(id), content);
+  await fs.promises.writeFile(metaPath(id), JSON.stringify(record, null, 2));
+  return record;
+}
+
+/**
+ * @returns {Promise<Object|null>} 内部记录；不存在或无权访问时返回 null
+ */
+async function getFile(id, keyId) {
+  if (!isValidFileId(id)) return null;
+  let record;
+  try {
+    record = JSON.parse(await fs.promises.readFile(metaPath(id), "utf8"));
+  } catch {
+    return null;
+  }
+  return canAccess(record, keyId) ? record : null;
+}
+
+/**
+ * @returns {Promise<Buffer|null>} 文件内容；内容已被删除（比如和删除请求并发）时返回 null
+ */
+async function readFileContent(id) {
+  try {
+    return await fs.promises.readFile(dataPath(id));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function listFiles(keyId, { purpose } = {}) {
+  const names = await fs.promises.readdir(fileDir());
+  const records = [];
+  for (const name of names) {
+    if (!name.endsWith(".json")) continue;
+    const record = await getFile(name.slice(0, -5), keyId);
+    if (record && (!purpose || record.purpose === purpose)) records.push(record);
+  }
+  return records.sort((a, b) => b.created_at - a.created_at);
+}
+
+async function deleteFile(id, keyId) {
+  const record = await getFile(id, keyId);
+  if (!record) return null;
+  // 先删元数据：中途失败或并发读取时，看到的是文件不存在，而不是有记录没内容
+  await fs.promises.rm(metaPath(id), { force: true });
+  await fs.promises.rm(dataPath(id), { force: true });
+  return record;
+}
+
+module.exports = {
+  FILE_PURPOSES,
+  describeFile,
+  createFile,
+  getFile,
+  readFileContent,
+  listFiles,
+  deleteFile
+};
@@ -0,0 +1,517 @@
+// src/geminiProvider.js
+
+const crypto = require("crypto");
+
+const { invalidRequestError } = require("./errors");
+const { createSSEParser } = require("./sse");
+const { createMessageAccumulator } = require("./responseCache");
+
+/**
+ * Gemini on Vertex：publishers/google/models/{model}:generateContent / streamGenerateContent
+ * 网关内部统一用 Claude Messages 格式，这里做双向转换（接口见 providers.js）：
+ *   请求：system -> systemInstruction，messages -> contents（assistant -> model），
+ *         tool_use / tool_result -> functionCall / functionResponse，tools -> functionDeclarations，
+ *         thinking -> generationConfig.thinkingConfig
+ *   响应：每个 GenerateContentResponse 转成 Claude SSE 事件；非流式时再用 createMessageAccumulator
+ *         拼回 Claude message，流式和非流式走同一套转换
+ * Gemini 的 thoughtSignature 放在 thinking block 的 signature 里，借 claude_thinking_state 的
+ * 回传机制在下一轮还原到 functionCall part 上（Gemini 3 的工具调用要求带回签名）
+ */
+
+// Vertex Schema 支持的字段，其余 JSON Schema 关键字（$schema、additionalProperties 等）会被拒绝
+const SCHEMA_KEYS = new Set([
+  "type",
+  "format",
+  "title",
+  "description",
+  "nullable",
+  "default",
+  "items",
+  "minItems",
+  "maxItems",
+  "enum",
+  "properties",
+  "required",
+  "minProperties",
+  "maxProperties",
+  "minLength",
+  "maxLength",
+  "pattern",
+  "example",
+  "anyOf",
+  "minimum",
+  "maximum"
+]);
+
+const FINISH_REASONS = {
+  STOP: "end_turn",
+  MAX_TOKENS: "max_tokens",
+  SAFETY: "refusal",
+  RECITATION: "refusal",
+  BLOCKLIST: "refusal",
+  PROHIBITED_CONTENT: "refusal",
+  SPII: "refusal",
+  IMAGE_SAFETY: "refusal"
+};
+
+// Gemini 流中途的错误状态 -> Claude error 事件的类型
+const STREAM_ERROR_TYPES = {
+  RESOURCE_EXHAUSTED: "rate_limit_error",
+  UNAVAILABLE: "overloaded_error",
+  INVALID_ARGUMENT: "invalid_request_error"
+};
+
+const IMAGE_MIME_TYPES = {
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp"
+};
+
+/**
+ * JSON Schema -> Vertex Schema：去掉不支持的关键字，["string", "null"] 转成 type + nullable
+ */
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) return schema;
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!SCHEMA_KEYS.has(key)) continue;
+    if (key === "properties" && value && typeof value === "object") {
+      const properties = Object.entries(value).map(([name, s]) => [name, toGeminiSchema(s)]);
+      // OBJECT 的 properties 不能是空对象
+      if (properties.length) result.properties = Object.fromEntries(properties);
+    } else if (key === "items") {
+      result.items = toGeminiSchema(value);
+    } else if (key === "anyOf" && Array.isArray(value)) {
+      result.anyOf = value.map(toGeminiSchema);
+    } else {
+      result[key] = value;
+    }
+  }
+  if (Array.isArray(result.type)) {
+    const types = result.type.filter((t) => t !== "null");
+    if (types.length !== result.type.length) result.nullable = true;
+    result.type = types[0];
+  }
+  if (typeof result.type === "string") result.type = result.type.toUpperCase();
+  return result;
+}
+
+function toInlinePart(source, param) {
+  if (source && source.type === "base64") {
+    return { inlineData: { mimeType: source.media_type, data: source.data } };
+  }
+  if (source && source.type === "url") {
+    const ext = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(source.url);
+    const mimeType = (ext && IMAGE_MIME_TYPES[ext[1].toLowerCase()]) || "image/jpeg";
+    return { fileData: { mimeType, fileUri: source.url } };
+  }
+  throw invalidRequestError("Unsupported image source for Gemini models", param);
+}
+
+// Claude document block：PDF 作为 inlineData，纯文本直接作为 text part（Gemini 不支持 citations）
+function toDocumentPart(block, param) {
+  const source = block.source || {};
+  if (source.type === "text") return { text: source.data || "" };
+  if (source.type === "base64") {
+    return { inlineData: { mimeType: source.media_type, data: source.data } };
+  }
+  throw invalidRequestError("Unsupported document source for Gemini models", param);
+}
+
+function toolResultText(content) {
+  if (typeof content === "string") return content;
+  return (content || [])
+    .filter((b) => b.type === "text")
+    .map((b) => b.text)
+    .join("\n");
+}
+
+/**
+ * 一条 Claude 消息 -> Gemini parts
+ * @param {Map<string, string>} toolNames tool_use id -> 函数名（functionResponse 需要函数名）
+ */
+function toGeminiParts(message, msgIndex, toolNames) {
+  const param = `messages[${msgIndex}].content`;
+  if (typeof message.content === "string") {
+    return message.content ? [{ text: message.content }] : [];
+  }
+  const parts = [];
+  const signatures = [];
+  for (const block of message.content || []) {
+    if (block.type === "text") {
+      if (block.text) parts.push({ text: block.text });
+    } else if (block.type === "image") {
+      parts.push(toInlinePart(block.source, param));
+    } else if (block.type === "document") {
+      parts.push(toDocumentPart(block, param));
+    } else if (block.type === "tool_use") {
+      toolNames.set(block.id, block.name);
+      parts.push({ functionCall: { name: block.name, args: block.input || {} } });
+    } else if (block.type === "tool_result") {
+      const text = toolResultText(block.content);
+      parts.push({
+        functionResponse: {
+          name: toolNames.get(block.tool_use_id) || block.tool_use_id,
+          response: block.is_error ? { error: text } : { output: text }
+        }
+      });
+      // 工具结果里的图片和文档跟在 functionResponse 后面
+      if (Array.isArray(block.content)) {
+        for (const item of block.content) {
+          if (item.type === "image") parts.push(toInlinePart(item.source, param));
+          if (item.type === "document") parts.push(toDocumentPart(item, param));
+        }
+      }
+    } else if (block.type === "thinking") {
+      // 思考文本不回传，只回传签名
+      if (block.signature) signatures.push(block.signature);
+    } else if (block.type !== "redacted_thinking") {
+      throw invalidRequestError(
+        `Content block type ${block.type} is not supported by Gemini models`,
+        param
+      );
+    }
+  }
+
+  // 签名按顺序还原到 functionCall part 上；没有工具调用时放在最后一个 part 上
+  const calls = parts.filter((p) => p.functionCall);
+  if (calls.length) {
+    calls.forEach((part, i) => {
+      if (signatures[i]) part.thoughtSignature = signatures[i];
+    });
+  } else if (signatures.length && parts.length) {
+    parts[parts.length - 1].thoughtSignature = signatures[signatures.length - 1];
+  }
+  return parts;
+}
+
+function toSystemInstruction(system) {
+  if (!system) return undefined;
+  const text = typeof system === "string" ? system : system.map((b) => b.text).join("\n\n");
+  return { parts: [{ text }] };
+}
+
+function toGeminiTools(tools) {
+  if (!Array.isArray(tools) || !tools.length) return undefined;
+  // Claude 的服务端工具（web_search_20250305 等）带 type，自定义工具没有（或为 custom）
+  const serverTool = tools.find((tool) => tool.type && tool.type !== "custom");
+  if (serverTool) {
+    throw invalidRequestError(
+      `Tool type ${serverTool.type} is not supported by Gemini models`,
+      "tools"
+    );
+  }
+  return [
+    {
+      functionDeclarations: tools.map((tool) => {
+        const parameters = toGeminiSchema(tool.input_schema);
+        return {
+          name: tool.name,
+          ...(tool.description ? { description: tool.description } : {}),
+          // 没有参数的函数不能带空的 OBJECT schema
+          ...(parameters && parameters.properties ? { parameters } : {})
+        };
+      })
+    }
+  ];
+}
+
+function toToolConfig(toolChoice) {
+  if (!toolChoice) return undefined;
+  switch (toolChoice.type) {
+    case "any":
+      return { functionCallingConfig: { mode: "ANY" } };
+    case "tool":
+      return {
+        functionCallingConfig: { mode: "ANY", allowedFunctionNames: [toolChoice.name] }
+      };
+    case "none":
+      return { functionCallingConfig: { mode: "NONE" } };
+    default:
+      return { functionCallingConfig: { mode: "AUTO" } };
+  }
+}
+
+/**
+ * Claude 请求体 -> GenerateContentRequest
+ * 最后一条是 assistant 消息（预填充）时原样作为 model turn 发出，
+ * Gemini 可能会把预填充内容再说一遍，转换响应时去掉（见 createPrefillStripper）
+ */
+function toGeminiRequest(claudeBody) {
+  const toolNames = new Map();
+  const contents = [];
+  (claudeBody.messages || []).forEach((message, i) => {
+    const parts = toGeminiParts(message, i, toolNames);
+    if (parts.length) {
+      contents.push({ role: message.role === "assistant" ? "model" : "user", parts });
+    }
+  });
+
+  const generationConfig = {};
+  if (typeof claudeBody.max_tokens === "number") {
+    generationConfig.maxOutputTokens = claudeBody.max_tokens;
+  }
+  if (typeof claudeBody.temperature === "number") {
+    generationConfig.temperature = claudeBody.temperature;
+  }
+  if (typeof claudeBody.top_p === "number") generationConfig.topP = claudeBody.top_p;
+  if (typeof claudeBody.top_k === "number") generationConfig.topK = claudeBody.top_k;
+  if (Array.isArray(claudeBody.stop_sequences) && claudeBody.stop_sequences.length) {
+    generationConfig.stopSequences = claudeBody.stop_sequences;
+  }
+  if (claudeBody.thinking && claudeBody.thinking.type === "enabled") {
+    generationConfig.thinkingConfig = {
+      thinkingBudget: claudeBody.thinking.budget_tokens,
+      includeThoughts: true
+    };
+  }
+
+  const body = { contents };
+  const systemInstruction = toSystemInstruction(claudeBody.system);
+  if (systemInstruction) body.systemInstruction = systemInstruction;
+  const tools = toGeminiTools(claudeBody.tools);
+  if (tools) {
+    body.tools = tools;
+    const toolConfig = toToolConfig(claudeBody.tool_choice);
+    if (toolConfig) body.toolConfig = toolConfig;
+  }
+  if (Object.keys(generationConfig).length) body.generationConfig = generationConfig;
+  return body;
+}
+
+function lastAssistantText(messages) {
+  const last = messages && messages[messages.length - 1];
+  if (!last || last.role !== "assistant") return "";
+  if (typeof last.content === "string") return last.content;
+  return (last.content || [])
+    .filter((b) => b.type === "text")
+    .map((b) => b.text)
+    .join("");
+}
+
+/**
+ * 去掉模型输出开头重复的预填充内容：开头和预填充一致的部分先缓冲，
+ * 确认重复了就丢掉，一旦不一致就原样输出
+ */
+function createPrefillStripper(prefill) {
+  let buffer = "";
+  let done = false;
+  return (text) => {
+    if (done) return text;
+    buffer += text;
+    if (buffer.length < prefill.length && prefill.startsWith(buffer)) return "";
+    done = true;
+    return buffer.startsWith(prefill) ? buffer.slice(prefill.length) : buffer;
+  };
+}
+
+function toClaudeUsage(meta = {}) {
+  const cached = meta.cachedContentTokenCount || 0;
+  return {
+    input_tokens: (meta.promptTokenCount || 0) - cached,
+    output_tokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0),
+    cache_read_input_tokens: cached
+  };
+}
+
+/**
+ * GenerateContentResponse（流式时是增量）-> Claude SSE 事件
+ * @param {Object} request buildRequest 的结果
+ * @param {Function} emit 每个 Claude 事件回调一次
+ * @returns {{push: Function, finish: Function}}
+ */
+function createEventTranslator(request, emit) {
+  let started = false;
+  let blockIndex = -1;
+  // 当前打开的 block 类型：thinking / text / null
+  let openType = null;
+  let usage = null;
+  let stopReason = null;
+  let sawToolUse = false;
+  const stripPrefill = request.prefill ? createPrefillStripper(request.prefill) : null;
+
+  const start = (response) => {
+    if (started) return;
+    started = true;
+    emit({
+      type: "message_start",
+      message: {
+        id: `msg_${response.responseId || crypto.randomBytes(12).toString("hex")}`,
+        type: "message",
+        role: "assistant",
+        model: request.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { ...toClaudeUsage(response.usageMetadata), output_tokens: 0 }
+      }
+    });
+  };
+  const closeBlock = () => {
+    if (!openType) return;
+    emit({ type: "content_block_stop", index: blockIndex });
+    openType = null;
+  };
+  const openBlock = (contentBlock) => {
+    closeBlock();
+    blockIndex += 1;
+    openType = contentBlock.type;
+    emit({ type: "content_block_start", index: blockIndex, content_block: contentBlock });
+  };
+  const delta = (d) => emit({ type: "content_block_delta", index: blockIndex, delta: d });
+  // 签名挂在正在输出的 thinking block 上，没有的话单独开一个空的 thinking block
+  const signature = (value) => {
+    if (openType !== "thinking") openBlock({ type: "thinking", thinking: "", signature: "" });
+    delta({ type: "signature_delta", signature: value });
+    closeBlock();
+  };
+
+  const pushPart = (part) => {
+    if (part.thought) {
+      if (openType !== "thinking") openBlock({ type: "thinking", thinking: "", signature: "" });
+      if (part.text) delta({ type: "thinking_delta", thinking: part.text });
+      if (part.thoughtSignature) signature(part.thoughtSignature);
+      return;
+    }
+    if (part.thoughtSignature) signature(part.thoughtSignature);
+    if (part.functionCall) {
+      sawToolUse = true;
+      openBlock({
+        type: "tool_use",
+        id: `toolu_${crypto.randomBytes(12).toString("hex")}`,
+        name: part.functionCall.name,
+        input: {}
+      });
+      delta({
+        type: "input_json_delta",
+        partial_json: JSON.stringify(part.functionCall.args || {})
+      });
+      closeBlock();
+    } else if (part.text) {
+      const text = stripPrefill ? stripPrefill(part.text) : part.text;
+      if (!text) return;
+      if (openType !== "text") openBlock({ type: "text", text: "" });
+      delta({ type: "text_delta", text });
+    }
+  };
+
+  return {
+    push(response) {
+      if (response.error) {
+        const status = response.error.status;
+        emit({
+          type: "error",
+          error: {
+            type: STREAM_ERROR_TYPES[status] || "api_error",
+            message: response.error.message || "Gemini stream error"
+          }
+        });
+        return;
+      }
+      start(response);
+      if (response.usageMetadata) usage = response.usageMetadata;
+      if (response.promptFeedback && response.promptFeedback.blockReason) {
+        stopReason = "refusal";
+      }
+      const candidate = (response.candidates || [])[0];
+      if (!candidate) return;
+      const parts = (candidate.content && candidate.content.parts) || [];
+      parts.forEach(pushPart);
+      if (candidate.finishReason) {
+        stopReason = FINISH_REASONS[candidate.finishReason] || "end_turn";
+      }
+    },
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.stream] 流式时没收到 finishReason 说明流被截断了：
+     *   不发 message_stop，由调用方按上游错误处理
+     */
+    finish({ stream = false } = {}) {
+      start({});
+      closeBlock();
+      if (stream && !stopReason) return;
+      if (sawToolUse && (!stopReason || stopReason === "end_turn")) stopReason = "tool_use";
+      emit({
+        type: "message_delta",
+        delta: { stop_reason: stopReason || "end_turn", stop_sequence: null },
+        usage: toClaudeUsage(usage || {})
+      });
+      emit({ type: "message_stop" });
+    }
+  };
+}
+
+const geminiProvider = {
+  publisher: "google",
+
+  buildRequest(claudeBody, { model, stream }) {
+    return {
+      model,
+      method: stream ? "streamGenerateContent?alt=sse" : "generateContent",
+      body: toGeminiRequest(claudeBody),
+      prefill: lastAssistantText(claudeBody.messages)
+    };
+  },
+
+  parseResponse(json, request) {
+    const accumulator = createMessageAccumulator();
+    const translator = createEventTranslator(request, (event) => accumulator.push(event));
+    translator.push(json);
+    translator.finish();
+    return accumulator.message();
+  },
+
+  /**
+   * Gemini SSE（alt=sse，每个 data 是一个 GenerateContentResponse）-> Claude SSE
+   * 返回等价的 fetch Response，上层按 Claude 流解析；取消时一并取消上游
+   */
+  translateStream(upstream, request) {
+    const encoder = new TextEncoder();
+    const reader = upstream.body.getReader();
+    let pending = "";
+    const translator = createEventTranslator(request, (event) => {
+      pending += `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+    });
+    const parser = createSSEParser((data) => translator.push(data));
+    const body = new ReadableStream({
+      async pull(controller) {
+        while (!pending) {
+          const { done, value } = await reader.read();
+          if (done) {
+            translator.finish({ stream: true });
+            controller.enqueue(encoder.encode(pending));
+            controller.close();
+            return;
+          }
+          parser.push(value);
+        }
+        controller.enqueue(encoder.encode(pending));
+        pending = "";
+      },
+      cancel(reason) {
+        return reader.cancel(reason);
+      }
+    });
+    return new Response(body, {
+      status: upstream.status,
+      headers: { "Content-Type": "text/event-stream" }
+    });
+  },
+
+  buildCountTokensRequest(claudeBody, { model }) {
+    const { contents, systemInstruction, tools } = toGeminiRequest(claudeBody);
+    return {
+      model,
+      method: "countTokens",
+      body: { contents, systemInstruction, tools }
+    };
+  },
+
+  parseCountTokens(json) {
+    return { input_tokens: json.totalTokens || 0 };
+  }
+};
+
+module.exports = {
+  geminiProvider
+};
@@ -0,0 +1,175 @@
+// src/jsonSchema.js
+
+/**
+ * 轻量 JSON Schema 校验，只覆盖 OpenAI structured outputs（strict 模式）允许的子集：
+ * type / properties / required / additionalProperties / items / enum / const /
+ * anyOf / $ref（#/$defs、#/definitions）/ minLength / maxLength / pattern /
+ * minimum / maximum / minItems / maxItems
+ * @param {*} value 待校验的值
+ * @param {Object} schema
+ * @returns {Array<string>} 错误列表，空数组表示通过
+ */
+function validateJsonSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, "$", schema, errors);
+  return errors;
+}
+
+// schema 节点 -> 编译好的 pattern，strict 重试时同一个 schema 不重复编译
+const compiledPatterns = new WeakMap();
+
+// 这些关键字下面是数据而不是子 schema，不找 pattern
+const DATA_KEYWORDS = new Set(["enum", "const", "default", "examples"]);
+
+/**
+ * 预先编译 schema 里所有的 pattern（请求进来时调用，不合法的 pattern 直接报给客户端）
+ * @param {Object} schema
+ * @returns {string|null} 第一个不合法 pattern 的错误信息，全部合法返回 null
+ */
+function compileSchemaPatterns(schema, path = "$") {
+  if (!schema || typeof schema !== "object") return null;
+  if (!Array.isArray(schema) && typeof schema.pattern === "string") {
+    try {
+      compiledPatterns.set(schema, new RegExp(schema.pattern, "u"));
+    } catch (err) {
+      return `${path}.pattern: ${err.message}`;
+    }
+  }
+  for (const [key, child] of Object.entries(schema)) {
+    if (DATA_KEYWORDS.has(key)) continue;
+    const error = compileSchemaPatterns(child, `${path}.${key}`);
+    if (error) return error;
+  }
+  return null;
+}
+
+function patternOf(schema) {
+  let regex = compiledPatterns.get(schema);
+  if (!regex) {
+    regex = new RegExp(schema.pattern, "u");
+    compiledPatterns.set(schema, regex);
+  }
+  return regex;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function resolveRef(ref, root) {
+  if (typeof ref !== "string" || !ref.startsWith("#/")) return null;
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => (node ? node[key] : undefined), root);
+}
+
+function validateNode(value, schema, path, root, errors) {
+  if (!schema || typeof schema !== "object") return;
+
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, root);
+    if (!target) {
+      errors.push(`${path}: unresolvable $ref ${schema.$ref}`);
+      return;
+    }
+    validateNode(value, target, path, root, errors);
+    return;
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    const ok = schema.anyOf.some((sub) => {
+      const subErrors = [];
+      validateNode(value, sub, path, root, subErrors);
+      return subErrors.length === 0;
+    });
+    if (!ok) errors.push(`${path}: does not match any of the allowed schemas`);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push(`${path}: expected ${types.join(" | ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => deepEqual(e, value))) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ("const" in schema && !deepEqual(schema.const, value)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  const actual = typeOf(value);
+
+  if (actual === "string") {
+    if (typeof schema.minLength === "number" && value.length < schema.minLength) {
+      errors.push(`${path}: shorter than ${schema.minLength}`);
+    }
+    if (typeof schema.maxLength === "number" && value.length > schema.maxLength) {
+      errors.push(`${path}: longer than ${schema.maxLength}`);
+    }
+    if (typeof schema.pattern === "string" && !patternOf(schema).test(value)) {
+      errors.push(`${path}: does not match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (actual === "number" || actual === "integer") {
+    if (typeof schema.minimum === "number" && value < schema.minimum) {
+      errors.push(`${path}: less than ${schema.minimum}`);
+    }
+    if (typeof schema.maximum === "number" && value > schema.maximum) {
+      errors.push(`${path}: greater than ${schema.maximum}`);
+    }
+  }
+
+  if (actual === "array") {
+    if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+      errors.push(`${path}: fewer than ${schema.minItems} items`);
+    }
+    if (typeof schema.maxItems === "number" && value.length > schema.maxItems) {
+      errors.push(`${path}: more than ${schema.maxItems} items`);
+    }
+    if (schema.items && typeof schema.items === "object") {
+      value.forEach((item, i) =>
+        validateNode(item, schema.items, `${path}[${i}]`, root, errors)
+      );
+    }
+  }
+
+  if (actual === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], `${path}.${key}`, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        validateNode(child, schema.additionalProperties, `${path}.${key}`, root, errors);
+      }
+    }
+  }
+}
+
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+  compileSchemaPatterns,
+  validateJsonSchema
+};
@@ -0,0 +1,131 @@
+// src/logger.js
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const { config } = require("./config");
+
+/**
+ * 结构化日志：每行一个 JSON 对象 { ts, level, msg, request_id, ...fields }
+ * request_id 等请求级字段放在 AsyncLocalStorage 里，vertexClient 等深层模块不用一路传 req
+ * prompt / 请求体默认不写日志，需要排查时用 LOG_PROMPTS=1 打开
+ */
+
+const requestContext = new AsyncLocalStorage();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// 客户端自带的 x-request-id 只接受这种格式，否则重新生成
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function generateRequestId() {
+  return `req_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+/**
+ * 当前请求的上下文：{ requestId, startedAt, upstreamRequestId }，不在请求里时返回 undefined
+ */
+function getRequestContext() {
+  return requestContext.getStore();
+}
+
+/**
+ * Express 中间件：分配 request id，回写 x-request-id，并为后续处理建立日志上下文
+ * vertexClient 拿到上游的 request id 后写进上下文，写响应头时一并以 x-vertex-request-id 回给客户端
+ */
+function requestContextMiddleware(req, res, next) {
+  const incoming = req.headers["x-request-id"];
+  const requestId =
+    typeof incoming === "string" && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : generateRequestId();
+  const ctx = { requestId, startedAt: Date.now(), upstreamRequestId: null };
+  req.id = requestId;
+  res.setHeader("x-request-id", requestId);
+
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    if (ctx.upstreamRequestId && !res.getHeader("x-vertex-request-id")) {
+      res.setHeader("x-vertex-request-id", ctx.upstreamRequestId);
+    }
+    return writeHead.apply(this, args);
+  };
+
+  requestContext.run(ctx, next);
+}
+
+/**
+ * 在 HTTP 请求之外（比如 Batch 任务里的每一行）建立日志上下文，fn 收到上下文对象
+ */
+function runWithRequestContext(requestId, fn) {
+  const ctx = { requestId, startedAt: Date.now(), upstreamRequestId: null };
+  return requestContext.run(ctx, () => fn(ctx));
+}
+
+function serializeError(err) {
+  if (!err || typeof err !== "object") return err;
+  return {
+    message: err.message,
+    ...(err.status ? { status: err.status } : {}),
+    ...(err.code ? { code: err.code } : {}),
+    ...(err.type ? { type: err.type } : {}),
+    ...(typeof err.body === "string" && err.body
+      ? { body: err.body.slice(0, 500) }
+      : {}),
+    ...(config.debug && err.stack ? { stack: err.stack } : {})
+  };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < LEVELS[config.debug ? "debug" : "info"]) return;
+  const ctx = getRequestContext();
+  const entry = {
+    ts: new Date().toISOString(),
+    level,
+    msg,
+    ...(ctx ? { request_id: ctx.requestId } : {}),
+    ...(ctx && ctx.upstreamRequestId
+      ? { upstream_request_id: ctx.upstreamRequestId }
+      : {})
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  const line = JSON.stringify(entry);
+  if (level === "error" || level === "warn") {
+    process.stderr.write(line + "\n");
+  } else {
+    process.stdout.write(line + "\n");
+  }
+}
+
+/**
+ * 请求体只在 LOG_PROMPTS 打开时原样记录，否则只记条数等概要
+ */
+function summarizeBody(body) {
+  if (!body || typeof body !== "object") return undefined;
+  if (config.logPrompts) return body;
+  return {
+    messages: Array.isArray(body.messages) ? body.messages.length : undefined,
+    tools: Array.isArray(body.tools) ? body.tools.length : undefined,
+    max_tokens: body.max_tokens,
+    stream: body.stream,
+    thinking: body.thinking ? body.thinking.type : undefined
+  };
+}
+
+const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields)
+};
+
+module.exports = {
+  logger,
+  getRequestContext,
+  requestContextMiddleware,
+  runWithRequestContext,
+  summarizeBody
+};
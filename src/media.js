@@ -0,0 +1,424 @@
+// src/media.js
+
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+const { config } = require("./config");
+const { invalidRequestError } = require("./errors");
+const { logger } = require("./logger");
+
+// Claude 支持的图片格式
+const SUPPORTED_IMAGE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp"
+];
+
+function assertImageType(mediaType, param) {
+  if (!SUPPORTED_IMAGE_TYPES.includes(mediaType)) {
+    throw invalidRequestError(
+      `Unsupported image format: ${mediaType || "unknown"}. Supported formats: ${SUPPORTED_IMAGE_TYPES.join(", ")}`,
+      param,
+      "invalid_image_format"
+    );
+  }
+}
+
+function assertImageSize(bytes, param) {
+  if (bytes > config.imageMaxBytes) {
+    throw invalidRequestError(
+      `Image is too large: ${bytes} bytes (limit ${config.imageMaxBytes} bytes)`,
+      param,
+      "image_too_large"
+    );
+  }
+}
+
+/**
+ * 根据文件头猜测图片类型（远程图片没有可靠 Content-Type 时兜底）
+ */
+function sniffImageType(buf) {
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (
+    buf.length >= 8 &&
+    buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return "image/png";
+  }
+  if (buf.length >= 6 && buf.subarray(0, 6).toString("ascii").startsWith("GIF8")) {
+    return "image/gif";
+  }
+  if (
+    buf.length >= 12 &&
+    buf.subarray(0, 4).toString("ascii") === "RIFF" &&
+    buf.subarray(8, 12).toString("ascii") === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  return null;
+}
+
+/**
+ * OpenAI image_url part -> Claude image block
+ * - data:image/png;base64,... -> source.type = "base64"
+ * - http(s)://...            -> source.type = "url"（是否由网关下载内联见 inlineRemoteImages）
+ * @param {Object} part OpenAI content part ({type:"image_url", image_url:{url}})
+ * @param {string} param 出错时回报给客户端的字段路径
+ */
+function imageUrlPartToClaudeBlock(part, param) {
+  const imageUrl = part.image_url;
+  const url = typeof imageUrl === "string" ? imageUrl : imageUrl && imageUrl.url;
+  if (!url || typeof url !== "string") {
+    throw invalidRequestError("image_url.url is required", param);
+  }
+
+  if (url.startsWith("data:")) {
+    const match = /^data:([^;,]+)?((?:;[^;,]*)*?);base64,(.*)$/s.exec(url);
+    if (!match) {
+      throw invalidRequestError(
+        "Invalid image data URL, expected data:<media_type>;base64,<data>",
+        param,
+        "invalid_image_url"
+      );
+    }
+    const mediaType = (match[1] || "").toLowerCase();
+    const data = match[3].replace(/\s/g, "");
+    assertImageType(mediaType, param);
+    assertImageSize(Math.floor((data.length * 3) / 4), param);
+    return {
+      type: "image",
+      source: { type: "base64", media_type: mediaType, data }
+    };
+  }
+
+  if (/^https?:\/\//i.test(url)) {
+    return {
+      type: "image",
+      source: { type: "url", url },
+      // 仅供 inlineRemoteImages 报错定位用，发给上游前会删掉
+      _param: param
+    };
+  }
+
+  throw invalidRequestError(
+    "Unsupported image URL, only data: and http(s) URLs are accepted",
+    param,
+    "invalid_image_url"
+  );
+}
+
+// 按纯文本文档发给 Claude 的类型（Claude 的 text source 只接受 text/plain，内容按 UTF-8 解码）
+const TEXT_DOCUMENT_TYPES = [
+  "application/json",
+  "application/xml",
+  "application/x-yaml",
+  "application/yaml",
+  "application/javascript",
+  "application/x-sh"
+];
+
+// file_data 没带 media type 时按扩展名判断
+const DOCUMENT_EXTENSIONS = {
+  pdf: "application/pdf",
+  txt: "text/plain",
+  md: "text/markdown",
+  markdown: "text/markdown",
+  csv: "text/csv",
+  tsv: "text/tab-separated-values",
+  html: "text/html",
+  htm: "text/html",
+  xml: "application/xml",
+  json: "application/json",
+  yaml: "application/yaml",
+  yml: "application/yaml",
+  log: "text/plain"
+};
+
+// file_data 的 base64（也接受 URL-safe 字母表），去掉空白后检查
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]*={0,2}$/;
+
+function isTextDocumentType(mediaType) {
+  return mediaType.startsWith("text/") || TEXT_DOCUMENT_TYPES.includes(mediaType);
+}
+
+/**
+ * OpenAI file part -> Claude document block
+ * - file.file_data 为 data:<media_type>;base64,... 或纯 base64（此时按 filename 扩展名判断类型）
+ * - PDF -> source.type = "base64"；文本类文件 -> source.type = "text"
+ * - filename 作为文档标题，Claude 的 citations 里会以 document_title 带回来
+ * @param {Object} part OpenAI content part ({type:"file", file:{filename, file_data}})
+ * @param {string} param 出错时回报给客户端的字段路径
+ * @param {Object} [options]
+ * @param {boolean} [options.citations] 是否开启 Claude citations
+ */
+function filePartToClaudeBlock(part, param, { citations = false } = {}) {
+  const file = part.file || {};
+  if (file.file_id && !file.file_data) {
+    throw invalidRequestError(
+      "file.file_id is not supported, send the file content as file.file_data",
+      `${param}.file_id`
+    );
+  }
+  if (!file.file_data || typeof file.file_data !== "string") {
+    throw invalidRequestError("file.file_data is required", `${param}.file_data`);
+  }
+
+  let mediaType = "";
+  let data = file.file_data;
+  if (data.startsWith("data:")) {
+    const match = /^data:([^;,]+)?((?:;[^;,]*)*?);base64,(.*)$/s.exec(data);
+    if (!match) {
+      throw invalidRequestError(
+        "Invalid file data URL, expected data:<media_type>;base64,<data>",
+        `${param}.file_data`,
+        "invalid_file_data"
+      );
+    }
+    mediaType = (match[1] || "").toLowerCase();
+    data = match[3];
+  }
+  data = data.replace(/\s/g, "");
+  // Buffer.from 遇到非法字符会静默跳过，文本文档会被解成乱码，这里先检查
+  if (!BASE64_PATTERN.test(data) || data.length % 4 === 1) {
+    throw invalidRequestError(
+      "Invalid file data, expected base64 encoded content",
+      `${param}.file_data`,
+      "invalid_file_data"
+    );
+  }
+  if (!mediaType || mediaType === "application/octet-stream") {
+    const ext = /\.([a-z0-9]+)$/i.exec(file.filename || "");
+    mediaType = (ext && DOCUMENT_EXTENSIONS[ext[1].toLowerCase()]) || mediaType;
+  }
+
+  let source;
+  if (mediaType === "application/pdf") {
+    source = { type: "base64", media_type: "application/pdf", data };
+  } else if (isTextDocumentType(mediaType)) {
+    source = {
+      type: "text",
+      media_type: "text/plain",
+      data: Buffer.from(data, "base64").toString("utf8")
+    };
+  } else {
+    throw invalidRequestError(
+      `Unsupported file format: ${mediaType || "unknown"}. Supported formats: PDF and plain text files`,
+      `${param}.file_data`,
+      "invalid_file_format"
+    );
+  }
+
+  const block = { type: "document", source };
+  if (file.filename) block.title = file.filename;
+  if (citations) block.citations = { enabled: true };
+  return block;
+}
+
+// 下载远程图片时不允许访问的地址：回环、内网、链路本地（含 169.254.169.254 元数据服务）、保留地址等
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  ["::ffff:0:0", 96], // IPv4-mapped，避免绕过上面的 IPv4 规则
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+const MAX_IMAGE_REDIRECTS = 5;
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * 连接前检查 DNS 解析出的每个地址（在 lookup 里检查，连接用的就是检查过的地址，不怕 DNS rebinding）
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some((a) => isBlockedAddress(a.address))) {
+      const blocked = new Error(`${hostname} resolves to a non-public address`);
+      blocked.code = "EADDRBLOCKED";
+      return callback(blocked);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * 下载图片原始字节，边读边计数，超过 imageMaxBytes 立即中断（不依赖 Content-Length）
+ * 重定向手动跟随，每一跳都重新检查地址
+ * 图片过大时抛 invalidRequestError，其余失败抛普通 Error（由调用方统一成不含细节的报错）
+ * @returns {Promise<{buf: Buffer, contentType: string}>}
+ */
+function downloadImage(url, param, signal, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (target.protocol !== "http:" && target.protocol !== "https:") {
+      return reject(new Error(`unsupported protocol ${target.protocol}`));
+    }
+    const allowPrivate = config.imageFetchAllowPrivate;
+    const hostname = target.hostname.replace(/^\[|\]$/g, "");
+    // IP 字面量不会经过 lookup，直接检查
+    if (!allowPrivate && net.isIP(hostname) && isBlockedAddress(hostname)) {
+      return reject(new Error(`${hostname} is not a public address`));
+    }
+
+    const client = target.protocol === "https:" ? https : http;
+    const req = client.get(
+      target,
+      { signal, ...(allowPrivate ? {} : { lookup: publicOnlyLookup }) },
+      (res) => {
+        const status = res.statusCode;
+        if ([301, 302, 303, 307, 308].includes(status) && res.headers.location) {
+          res.resume();
+          if (redirects >= MAX_IMAGE_REDIRECTS) {
+            return reject(new Error("too many redirects"));
+          }
+          const next = new URL(res.headers.location, target).href;
+          return resolve(downloadImage(next, param, signal, redirects + 1));
+        }
+        if (status < 200 || status >= 300) {
+          res.resume();
+          return reject(new Error(`HTTP ${status}`));
+        }
+
+        const fail = (err) => {
+          req.destroy();
+          reject(err);
+        };
+        try {
+          const declaredLength = Number(res.headers["content-length"]);
+          if (declaredLength) assertImageSize(declaredLength, param);
+        } catch (err) {
+          return fail(err);
+        }
+        const chunks = [];
+        let received = 0;
+        res.on("data", (chunk) => {
+          received += chunk.length;
+          try {
+            assertImageSize(received, param);
+          } catch (err) {
+            return fail(err);
+          }
+          chunks.push(chunk);
+        });
+        res.on("end", () => {
+          resolve({
+            buf: Buffer.concat(chunks),
+            contentType: res.headers["content-type"] || ""
+          });
+        });
+        res.on("error", reject);
+      }
+    );
+    req.on("error", reject);
+  });
+}
+
+async function fetchImageAsBase64(url, param) {
+  let downloaded;
+  try {
+    downloaded = await downloadImage(
+      url,
+      param,
+      AbortSignal.timeout(config.imageFetchTimeoutMs)
+    );
+  } catch (err) {
+    if (err.status) throw err;
+    // 不把具体原因（解析失败、连不上、HTTP 状态、地址被拒）返回给客户端，免得被用来探测内网
+    logger.warn("image download failed", { url, reason: err.message });
+    throw invalidRequestError(
+      `Failed to download image from ${url}`,
+      param,
+      "invalid_image_url"
+    );
+  }
+  const { buf } = downloaded;
+
+  const headerType = downloaded.contentType
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  const mediaType = SUPPORTED_IMAGE_TYPES.includes(headerType)
+    ? headerType
+    : sniffImageType(buf) || headerType;
+  assertImageType(mediaType, param);
+
+  return {
+    type: "base64",
+    media_type: mediaType,
+    data: buf.toString("base64")
+  };
+}
+
+/**
+ * 处理 Claude messages 里的 URL 图片：
+ * - IMAGE_URL_MODE=inline（默认）：由网关下载后转成 base64 内联
+ * - IMAGE_URL_MODE=url：原样把 URL source 交给上游
+ * 会原地修改 messages
+ */
+async function inlineRemoteImages(messages) {
+  const pending = [];
+  const images = [];
+  for (const msg of messages || []) {
+    if (!Array.isArray(msg.content)) continue;
+    for (const block of msg.content) {
+      if (!block) continue;
+      if (block.type === "image") images.push(block);
+      // tool_result 里也可能带图片
+      if (block.type === "tool_result" && Array.isArray(block.content)) {
+        images.push(...block.content.filter((b) => b && b.type === "image"));
+      }
+    }
+  }
+  for (const block of images) {
+    if (!block.source) continue;
+    const param = block._param;
+    delete block._param;
+    if (block.source.type !== "url" || config.imageUrlMode === "url") {
+      continue;
+    }
+    pending.push(
+      fetchImageAsBase64(block.source.url, param).then((source) => {
+        block.source = source;
+      })
+    );
+  }
+  await Promise.all(pending);
+  return messages;
+}
+
+module.exports = {
+  SUPPORTED_IMAGE_TYPES,
+  imageUrlPartToClaudeBlock,
+  filePartToClaudeBlock,
+  inlineRemoteImages
+};
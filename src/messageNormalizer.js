@@ -0,0 +1,126 @@
+// src/messageNormalizer.js
+
+const { invalidRequestError } = require("./errors");
+
+/**
+ * 把转换后的 Claude messages 整理成 Claude 能接受的形式：
+ *   - 去掉空白文本 block，去掉因此变空的消息
+ *   - 合并相邻的同角色消息（包括并行工具调用产生的多条 tool 结果）
+ *   - user 消息里 tool_result block 放在最前面
+ *   - 检查 tool_use / tool_result 是否一一对应（包括同一个 tool_call_id 重复回复），修不了的直接 400
+ * 每条消息可以带 SOURCE_INDEX（对应原始 OpenAI messages 下标），只用于报错定位，
+ * 用 Symbol 存放，不会被序列化发给上游
+ */
+
+const SOURCE_INDEX = Symbol("sourceIndex");
+
+function isEmptyBlock(block) {
+  if (!block) return true;
+  return block.type === "text" && !(block.text && block.text.trim());
+}
+
+function paramOf(item) {
+  return item[SOURCE_INDEX] === undefined ? "messages" : `messages[${item[SOURCE_INDEX]}]`;
+}
+
+/**
+ * @param {Array} messages Claude messages（会被改写，返回新数组）
+ * @returns {Array}
+ */
+function normalizeClaudeMessages(messages) {
+  const merged = [];
+
+  for (const msg of messages) {
+    const content = (Array.isArray(msg.content) ? msg.content : []).filter(
+      (b) => !isEmptyBlock(b)
+    );
+    if (!content.length) continue;
+    // 合并后仍能定位到原始消息
+    for (const block of content) block[SOURCE_INDEX] = msg[SOURCE_INDEX];
+
+    const prev = merged[merged.length - 1];
+    if (prev && prev.role === msg.role) {
+      prev.content.push(...content);
+      continue;
+    }
+    const next = { role: msg.role, content };
+    next[SOURCE_INDEX] = msg[SOURCE_INDEX];
+    merged.push(next);
+  }
+
+  if (!merged.length) {
+    throw invalidRequestError(
+      "messages must contain at least one non-empty user or assistant message",
+      "messages"
+    );
+  }
+
+  for (const msg of merged) {
+    if (msg.role === "user") {
+      // Claude 要求 tool_result 紧跟在 tool_use 之后，放在 user 消息的最前面
+      msg.content = [
+        ...msg.content.filter((b) => b.type === "tool_result"),
+        ...msg.content.filter((b) => b.type !== "tool_result")
+      ];
+    }
+  }
+
+  validateToolPairs(merged);
+  return merged;
+}
+
+function validateToolPairs(messages) {
+  messages.forEach((msg, i) => {
+    const prev = messages[i - 1];
+    const next = messages[i + 1];
+
+    if (msg.role === "assistant") {
+      const toolUseIds = msg.content
+        .filter((b) => b.type === "tool_use")
+        .map((b) => b.id);
+      if (!toolUseIds.length) return;
+      const resultIds = new Set(
+        next && next.role === "user"
+          ? next.content.filter((b) => b.type === "tool_result").map((b) => b.tool_use_id)
+          : []
+      );
+      const missing = toolUseIds.filter((id) => !resultIds.has(id));
+      if (missing.length) {
+        throw invalidRequestError(
+          `An assistant message with tool_calls must be followed by tool messages responding to each tool_call_id. Missing responses for: ${missing.join(", ")}`,
+          paramOf(msg)
+        );
+      }
+      return;
+    }
+
+    const toolUseIds = new Set(
+      prev && prev.role === "assistant"
+        ? prev.content.filter((b) => b.type === "tool_use").map((b) => b.id)
+        : []
+    );
+    // 同一个 tool_call_id 只能回复一次，重复的 tool 消息 Claude 只会给一个看不出原因的 400
+    const answeredIds = new Set();
+    for (const block of msg.content) {
+      if (block.type !== "tool_result") continue;
+      if (!toolUseIds.has(block.tool_use_id)) {
+        throw invalidRequestError(
+          `Tool message with tool_call_id "${block.tool_use_id}" does not respond to any tool_calls in the preceding assistant message`,
+          paramOf(block)
+        );
+      }
+      if (answeredIds.has(block.tool_use_id)) {
+        throw invalidRequestError(
+          `Duplicate tool message for tool_call_id "${block.tool_use_id}"`,
+          `${paramOf(block)}.tool_call_id`
+        );
+      }
+      answeredIds.add(block.tool_use_id);
+    }
+  });
+}
+
+module.exports = {
+  SOURCE_INDEX,
+  normalizeClaudeMessages
+};
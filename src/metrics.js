@@ -0,0 +1,160 @@
+// src/metrics.js
+
+/**
+ * Prometheus 指标（文本格式 0.0.4），不依赖 prom-client，只实现用到的 counter / gauge / histogram
+ * GET /metrics 输出 renderMetrics() 的结果
+ */
+
+const registry = [];
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((n) => String(labels[n] ?? "")));
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabelValue(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function createCounter(name, help, labelNames = []) {
+  const values = new Map();
+  const metric = {
+    inc(labels, n = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + n);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function createGauge(name, help, labelNames = []) {
+  const values = new Map();
+  const metric = {
+    inc(labels, n = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + n);
+    },
+    dec(labels, n = 1) {
+      metric.inc(labels, -n);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function createHistogram(name, help, labelNames = [], buckets) {
+  // key -> { counts: 每个桶的计数（非累计）, sum, count }
+  const series = new Map();
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      const i = buckets.findIndex((b) => value <= b);
+      if (i >= 0) s.counts[i]++;
+      s.sum += value;
+      s.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, s] of series) {
+        const values = JSON.parse(key);
+        let cumulative = 0;
+        buckets.forEach((b, i) => {
+          cumulative += s.counts[i];
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${b}"`)} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${s.count}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// 秒，覆盖从首 token 几百毫秒到长输出几分钟
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+const metrics = {
+  requests: createCounter(
+    "gateway_requests_total",
+    "Requests handled by the gateway",
+    ["endpoint", "model", "status", "stream"]
+  ),
+  upstreamLatency: createHistogram(
+    "gateway_upstream_latency_seconds",
+    "Latency of each upstream Vertex attempt (until response or first stream chunk)",
+    ["model", "target", "outcome"],
+    LATENCY_BUCKETS
+  ),
+  timeToFirstToken: createHistogram(
+    "gateway_time_to_first_token_seconds",
+    "Time from request start to the first streamed token",
+    ["endpoint", "model"],
+    LATENCY_BUCKETS
+  ),
+  tokens: createCounter(
+    "gateway_tokens_total",
+    "Tokens reported by Claude usage",
+    ["model", "type"]
+  ),
+  retries: createCounter(
+    "gateway_upstream_retries_total",
+    "Upstream attempts after the first one",
+    ["model"]
+  ),
+  failovers: createCounter(
+    "gateway_upstream_failovers_total",
+    "Retries that switched to a different target",
+    ["model", "from", "to"]
+  ),
+  activeStreams: createGauge(
+    "gateway_active_streams",
+    "Streaming responses currently open",
+    ["endpoint"]
+  )
+};
+
+/**
+ * 标记一个流式响应开始，响应关闭时自动减回去
+ */
+function trackActiveStream(res, endpoint) {
+  metrics.activeStreams.inc({ endpoint });
+  res.once("close", () => metrics.activeStreams.dec({ endpoint }));
+}
+
+function renderMetrics() {
+  return registry.flatMap((m) => m.render()).join("\n") + "\n";
+}
+
+module.exports = {
+  metrics,
+  trackActiveStream,
+  renderMetrics
+};
@@ -0,0 +1,272 @@
+// src/modelRegistry.js
+
+const fs = require("fs");
+
+const { config } = require("./config");
+const { createApiError } = require("./errors");
+
+/**
+ * 模型注册表：上游 provider、上下文长度、输出上限、能力、默认参数、别名、专用 location
+ * 内置表按模型 ID 最长前缀匹配，可以用 MODEL_REGISTRY（JSON）或 MODEL_REGISTRY_FILE（JSON 文件）覆盖 / 补充：
+ *   {
+ *     "claude-sonnet-4-5@20250929": {
+ *       "aliases": ["claude-sonnet", "gpt-4o"],
+ *       "contextWindow": 200000,
+ *       "maxOutputTokens": 64000,
+ *       "defaultMaxTokens": 8192,
+ *       "capabilities": { "vision": true, "tools": true, "thinking": true },
+ *       "defaults": { "temperature": 0.7 },
+ *       "location": "us-east5"
+ *     },
+ *     "gemini-2.5-pro": { "provider": "gemini", "location": "us-central1" }
+ *   }
+ * - key 可以是完整模型 ID，也可以是前缀；覆盖项和内置项逐字段合并
+ * - provider：anthropic（默认）/ gemini，决定请求发给哪个上游、怎么转换，见 providers.js
+ * - defaults：OpenAI 请求参数的默认值，客户端没传时补上
+ * - location：这个模型只在某个区域可用时，覆盖 target 的 location
+ * 对外只暴露 allowedModels 里的模型；每个带 @版本号 的 ID 自动有一个去掉版本号的别名
+ */
+
+// thinkingBudgets 按模型覆盖 openaiAdapter 里 reasoning_effort 的默认档位
+const BUILTIN_MODELS = {
+  "claude-opus-4-6": {
+    maxOutputTokens: 128000,
+    capabilities: { vision: true, tools: true, thinking: true },
+    thinkingBudgets: { low: 4096, medium: 16384, high: 32768 },
+    released: "2026-02-05"
+  },
+  "claude-sonnet-4-6": {
+    maxOutputTokens: 64000,
+    capabilities: { vision: true, tools: true, thinking: true },
+    released: "2026-02-17"
+  },
+  "claude-opus-4-5": {
+    maxOutputTokens: 64000,
+    capabilities: { vision: true, tools: true, thinking: true }
+  },
+  "claude-opus-4": {
+    maxOutputTokens: 32000,
+    capabilities: { vision: true, tools: true, thinking: true }
+  },
+  "claude-sonnet-4": {
+    maxOutputTokens: 64000,
+    capabilities: { vision: true, tools: true, thinking: true }
+  },
+  "claude-haiku-4-5": {
+    maxOutputTokens: 64000,
+    capabilities: { vision: true, tools: true, thinking: true }
+  },
+  "claude-3-7-sonnet": {
+    maxOutputTokens: 64000,
+    capabilities: { vision: true, tools: true, thinking: true }
+  },
+  "claude-3-5-sonnet": {
+    maxOutputTokens: 8192,
+    capabilities: { vision: true, tools: true, thinking: false }
+  },
+  "claude-3-5-haiku": {
+    maxOutputTokens: 8192,
+    capabilities: { vision: false, tools: true, thinking: false }
+  },
+  "claude-3-opus": {
+    maxOutputTokens: 4096,
+    capabilities: { vision: true, tools: true, thinking: false }
+  },
+  "claude-3-haiku": {
+    maxOutputTokens: 4096,
+    capabilities: { vision: true, tools: true, thinking: false }
+  },
+  // Gemini 默认走 global 端点（Gemini 3 预览版只在 global 提供）
+  "gemini-": {
+    provider: "gemini",
+    location: "global",
+    contextWindow: 1048576,
+    maxOutputTokens: 8192,
+    capabilities: { vision: true, tools: true, thinking: false }
+  },
+  "gemini-3": {
+    provider: "gemini",
+    location: "global",
+    contextWindow: 1048576,
+    maxOutputTokens: 65536,
+    capabilities: { vision: true, tools: true, thinking: true }
+  },
+  "gemini-2.5": {
+    provider: "gemini",
+    location: "global",
+    contextWindow: 1048576,
+    maxOutputTokens: 65536,
+    capabilities: { vision: true, tools: true, thinking: true }
+  }
+};
+
+const OWNERS = {
+  anthropic: "vertex-ai.anthropic",
+  gemini: "vertex-ai.google"
+};
+
+// 内置表里没有的模型：保守地认为不支持 thinking，需要的话用 MODEL_REGISTRY 配置
+const FALLBACK_MODEL = {
+  contextWindow: 200000,
+  maxOutputTokens: 8192,
+  capabilities: { vision: true, tools: true, thinking: false }
+};
+
+// 客户端没给 max_tokens 时的默认值上限（Claude 要求必填）
+const DEFAULT_MAX_TOKENS_CAP = 16384;
+
+function loadOverrides() {
+  let raw = process.env.MODEL_REGISTRY;
+  if (!raw && process.env.MODEL_REGISTRY_FILE) {
+    raw = fs.readFileSync(process.env.MODEL_REGISTRY_FILE, "utf8");
+  }
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`MODEL_REGISTRY is not valid JSON: ${err.message}`);
+  }
+}
+
+const overrides = loadOverrides();
+
+function matchPrefix(table, model) {
+  const prefix = Object.keys(table)
+    .filter((p) => model.startsWith(p))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * 模型 ID 里的 @YYYYMMDD 或内置表的 released 日期 -> unix 秒
+ */
+function createdAt(id, released) {
+  const m = /@(\d{4})(\d{2})(\d{2})$/.exec(id);
+  const date = m ? `${m[1]}-${m[2]}-${m[3]}` : released;
+  return date ? Math.floor(Date.parse(`${date}T00:00:00Z`) / 1000) : null;
+}
+
+function buildEntry(id) {
+  const builtin = matchPrefix(BUILTIN_MODELS, id) || FALLBACK_MODEL;
+  const override = matchPrefix(overrides, id) || {};
+  const entry = {
+    id,
+    provider: "anthropic",
+    contextWindow: FALLBACK_MODEL.contextWindow,
+    ...builtin,
+    ...override,
+    capabilities: { ...builtin.capabilities, ...(override.capabilities || {}) },
+    defaults: { ...(override.defaults || {}) },
+    aliases: [...(override.aliases || [])]
+  };
+  if (typeof entry.defaultMaxTokens !== "number") {
+    entry.defaultMaxTokens = Math.min(DEFAULT_MAX_TOKENS_CAP, entry.maxOutputTokens);
+  }
+  const unversioned = id.replace(/@\d{8}$/, "");
+  if (unversioned !== id) entry.aliases.unshift(unversioned);
+  entry.created = createdAt(id, entry.released);
+  return entry;
+}
+
+const entries = new Map();
+const aliases = new Map();
+for (const id of config.allowedModels) {
+  const entry = buildEntry(id);
+  entries.set(id, entry);
+}
+for (const entry of entries.values()) {
+  for (const alias of entry.aliases) {
+    // 别名不能抢占真实模型 ID，重复的别名以先出现的为准
+    if (!entries.has(alias) && !aliases.has(alias)) aliases.set(alias, entry.id);
+  }
+}
+
+/**
+ * 别名 -> 真实模型 ID；不认识的名字原样返回，交给 allowlist 检查
+ */
+function resolveModelAlias(model) {
+  return aliases.get(model) || model;
+}
+
+/**
+ * 模型信息；不在 allowedModels 里的模型按内置表临时生成一份
+ */
+function getModelInfo(model) {
+  if (typeof model !== "string") return buildEntry("");
+  return entries.get(model) || buildEntry(model);
+}
+
+function listModels() {
+  return [...entries.values()];
+}
+
+/**
+ * 注册表项 -> /v1/models 的返回格式（OpenAI 字段 + 扩展元数据）
+ */
+function describeModel(entry) {
+  return {
+    id: entry.id,
+    object: "model",
+    created: entry.created,
+    owned_by: OWNERS[entry.provider] || entry.provider,
+    provider: entry.provider,
+    aliases: entry.aliases.filter((a) => aliases.get(a) === entry.id),
+    context_window: entry.contextWindow,
+    max_output_tokens: entry.maxOutputTokens,
+    default_max_tokens: entry.defaultMaxTokens,
+    capabilities: entry.capabilities,
+    defaults: entry.defaults,
+    ...(entry.location ? { location: entry.location } : {})
+  };
+}
+
+function hasImageBlocks(messages) {
+  return messages.some(
+    (m) =>
+      Array.isArray(m.content) &&
+      m.content.some(
+        (b) =>
+          b.type === "image" ||
+          (b.type === "tool_result" &&
+            Array.isArray(b.content) &&
+            b.content.some((c) => c.type === "image"))
+      )
+  );
+}
+
+/**
+ * 请求用到了模型不支持的能力时抛 400
+ * @param {string} model
+ * @param {Object} claudeReq mapOpenAIRequestToClaude 的结果
+ */
+function assertModelCapabilities(model, claudeReq) {
+  const { capabilities } = getModelInfo(model);
+  const unsupported = (capability, param) =>
+    createApiError(400, `Model ${model} does not support ${capability}`, {
+      param,
+      code: "model_capability_unsupported"
+    });
+
+  if (!capabilities.vision && hasImageBlocks(claudeReq.messages)) {
+    throw unsupported("image input", "messages");
+  }
+  if (!capabilities.tools && Array.isArray(claudeReq.tools) && claudeReq.tools.length) {
+    throw unsupported(
+      "tools",
+      claudeReq.responseFormat && claudeReq.responseFormat.toolName
+        ? "response_format"
+        : "tools"
+    );
+  }
+  if (!capabilities.thinking && claudeReq.thinking && claudeReq.thinking.type === "enabled") {
+    throw unsupported("extended thinking", "claude_thinking");
+  }
+}
+
+module.exports = {
+  resolveModelAlias,
+  getModelInfo,
+  listModels,
+  describeModel,
+  assertModelCapabilities
+};
@@ -1,105 +1,267 @@
 // src/openaiAdapter.js
 
+const { config } = require("./config");
+const { imageUrlPartToClaudeBlock, filePartToClaudeBlock } = require("./media");
+const { mapCitationToAnnotation } = require("./citations");
+const {
+  isServerToolType,
+  toServerTool,
+  webSearchToolFromOptions,
+  serverToolBetas
+} = require("./serverTools");
+const { invalidRequestError } = require("./errors");
+const {
+  pickThinkingBlocks,
+  encodeThinkingState,
+  decodeThinkingState,
+  rememberThinkingBlocks,
+  recallThinkingBlocks
+} = require("./thinkingState");
+const {
+  resolvePromptCacheMode,
+  copyCacheControl,
+  markLastCacheable,
+  applyPromptCaching
+} = require("./promptCache");
+const { applyResponseFormat } = require("./structuredOutput");
+const { getModelInfo } = require("./modelRegistry");
+const {
+  SOURCE_INDEX,
+  normalizeClaudeMessages
+} = require("./messageNormalizer");
+
+// reasoning_effort -> thinking budget_tokens 的默认档位（按模型的覆盖见 modelRegistry.js）
+const DEFAULT_THINKING_BUDGETS = {
+  low: 2048,
+  medium: 8192,
+  high: 24576
+};
+
+// 开启 thinking 但客户端没给 max_tokens 时，在 budget 之外预留给正文的 token 数
+const THINKING_ANSWER_TOKENS = 8192;
+
+const PARAM_MODES = ["lenient", "strict"];
+
+/**
+ * OpenAI Chat Completions 参数对照表
+ * - true：网关会处理（映射成 Claude 参数，或者本身不需要转发）
+ * - 函数：按取值判断，返回 true 表示这个取值和 Claude 行为一致，可以直接忽略
+ * - false：Claude 没有对应能力
+ * 不在表里的参数一律当作不支持
+ * 不支持的参数：lenient 模式丢弃并在 x-gateway-warning 头里提示，strict 模式返回 400
+ */
+const OPENAI_PARAMS = {
+  model: true,
+  messages: true,
+  stream: true,
+  stream_options: true,
+  tools: true, // function 工具，以及 Claude 服务端工具（web_search_20250305 等），见 serverTools.js
+  web_search_options: true, // -> web_search 服务端工具
+  tool_choice: true, // auto / none / required / {function} -> auto / none / any / tool
+  parallel_tool_calls: true, // false -> tool_choice.disable_parallel_tool_use
+  max_tokens: true,
+  max_completion_tokens: true,
+  temperature: true,
+  top_p: true,
+  top_k: true,
+  stop: true, // -> stop_sequences
+  metadata: true,
+  user: true, // -> metadata.user_id
+  response_format: true,
+  reasoning_effort: true,
+  claude_thinking: true,
+  claude_metadata: true,
+  claude_prompt_cache: true,
+  claude_param_mode: true,
+  claude_response_cache: true, // 网关响应缓存开关，在 server.js 里处理
+  claude_citations: true, // 给 file part 转成的 document 开启 Claude citations
+  n: (v) => v === 1,
+  logprobs: (v) => v === false,
+  top_logprobs: (v) => v === 0,
+  presence_penalty: (v) => v === 0,
+  frequency_penalty: (v) => v === 0,
+  logit_bias: (v) => typeof v === "object" && !Object.keys(v).length,
+  seed: false,
+  store: (v) => v === false,
+  service_tier: (v) => v === "auto" || v === "default"
+};
+
 /**
  * 将 OpenAI Chat Completions 请求体转换为 Claude Messages 请求参数
  * 只处理常见字段：messages / tools / tool_choice / stop / temperature / top_p / top_k / max_tokens / metadata
  * 另外扩展：
- *   - claude_thinking: 直通 Claude extended thinking
+ *   - max_completion_tokens: 等价于 max_tokens
+ *   - reasoning_effort: low / medium / high，按模型换算成 thinking budget
+ *   - claude_thinking: 直通 Claude extended thinking（优先于 reasoning_effort）
  *   - claude_metadata: 合并进 metadata
+ *   - response_format: json_object / json_schema，见 structuredOutput.js
+ *   - claude_prompt_cache: off / explicit / auto，见 promptCache.js；
+ *     content part、tool、message 上的 cache_control 会原样带给 Claude
+ *   - claude_param_mode: lenient / strict，不支持的参数怎么处理，见 OPENAI_PARAMS
+ *   - claude_response_cache: true / false，是否走网关响应缓存，见 responseCache.js（这里不处理）
+ *   - claude_citations: true 时 file part 转成的 document block 开启 citations，
+ *     响应里的引用转成 message.annotations
+ *   - web_search_options / tools 里的 Claude 服务端工具：见 serverTools.js，需要的 anthropic-beta 记在 claudeReq.betas 上
+ * lenient 模式下被丢弃的参数名记在 claudeReq.droppedParams 上（不会发给上游）
+ * @param {Object} body OpenAI 请求体
+ * @param {string} [model] 实际使用的模型 ID，默认取 body.model
+ * @param {Object} [options]
+ * @param {string} [options.paramMode] API key 上配置的参数模式，请求里的 claude_param_mode 优先
  */
-function mapOpenAIRequestToClaude(body) {
+function mapOpenAIRequestToClaude(body, model = body.model, { paramMode } = {}) {
+  const droppedParams = checkOpenAIParams(
+    body,
+    resolveParamMode(body.claude_param_mode, paramMode)
+  );
   const {
     messages: oaiMessages = [],
     tools: oaiTools,
+    web_search_options,
     tool_choice,
-    max_tokens,
+    parallel_tool_calls,
+    max_completion_tokens,
     temperature,
     top_p,
     top_k,
     stop,
     metadata,
+    user,
+    response_format,
+    reasoning_effort,
     claude_thinking,
-    claude_metadata
+    claude_metadata,
+    claude_prompt_cache,
+    claude_citations
   } = body;
+  let max_tokens =
+    typeof body.max_tokens === "number" ? body.max_tokens : max_completion_tokens;
 
-  const systemPieces = [];
+  const promptCacheMode = resolvePromptCacheMode(claude_prompt_cache);
+  const contentOptions = { citations: claude_citations === true };
+  const systemBlocks = [];
   const claudeMessages = [];
+  const pushMessage = (role, content, msgIndex) => {
+    const message = { role, content };
+    message[SOURCE_INDEX] = msgIndex;
+    claudeMessages.push(message);
+  };
 
-  for (const msg of oaiMessages) {
+  for (const [msgIndex, msg] of oaiMessages.entries()) {
     const role = msg.role;
 
-    // system -> 合并成一个 top-level system 字符串
-    if (role === "system") {
-      const text = extractTextFromContent(msg.content);
-      if (text) systemPieces.push(text);
+    // system / developer -> 合并成 top-level system（没有 cache_control 时仍是一个字符串）
+    if (role === "system" || role === "developer") {
+      const blocks = convertSystemContent(msg.content);
+      if (msg.cache_control) markLastCacheable(blocks, msg.cache_control);
+      systemBlocks.push(...blocks);
       continue;
     }
 
     // OpenAI 的 tool result 消息：role = "tool"
+    // 连续多条 tool 消息会在 normalizeClaudeMessages 里合并成一条 user 消息
     if (role === "tool") {
-      const toolUseId = msg.tool_call_id || msg.name || "tool_use";
-      const text = extractTextFromContent(msg.content) || "";
-      claudeMessages.push({
-        role: "user",
-        content: [
-          {
-            type: "tool_result",
-            tool_use_id: toolUseId,
-            content: text
-          }
-        ]
-      });
+      if (!msg.tool_call_id) {
+        throw invalidRequestError(
+          "Tool messages must include tool_call_id",
+          `messages[${msgIndex}].tool_call_id`
+        );
+      }
+      const resultBlock = {
+        type: "tool_result",
+        tool_use_id: msg.tool_call_id,
+        content: convertToolResultContent(
+          msg.content,
+          `messages[${msgIndex}].content`,
+          contentOptions
+        )
+      };
+      if (msg.is_error === true) resultBlock.is_error = true;
+      pushMessage("user", [copyCacheControl(resultBlock, msg)], msgIndex);
       continue;
     }
 
+    if (role !== "user" && role !== "assistant") {
+      throw invalidRequestError(
+        `Unsupported message role "${role}". Expected one of system, developer, user, assistant, tool`,
+        `messages[${msgIndex}].role`
+      );
+    }
+
     // user / assistant
     const contentBlocks = [];
 
-    // assistant 工具调用 -> Claude 的 tool_use block
-    if (role === "assistant" && Array.isArray(msg.tool_calls)) {
-      for (const tc of msg.tool_calls) {
-        if (!tc || tc.type !== "function" || !tc.function) continue;
-        let inputObj;
-        const args = tc.function.arguments;
-        if (typeof args === "string") {
-          try {
-            inputObj = JSON.parse(args);
-          } catch {
+    if (role === "assistant") {
+      // Claude 原始顺序：thinking -> text -> tool_use
+      const restored = restoreThinkingBlocks(msg, msgIndex);
+      const text = extractTextFromContent(msg.content);
+      const restoredText = restored
+        .filter((b) => b.type === "text")
+        .map((b) => b.text)
+        .join("");
+      if (restoredText && restoredText === text) {
+        // 服务端工具轮次：正文没改动时直接用 state 里的 text block，保持和服务端工具 block 的原始顺序
+        contentBlocks.push(...restored);
+      } else {
+        contentBlocks.push(...restored.filter((b) => b.type !== "text"));
+        if (text && text.trim().length > 0) {
+          contentBlocks.push({ type: "text", text });
+        }
+      }
+
+      // assistant 工具调用 -> Claude 的 tool_use block
+      if (Array.isArray(msg.tool_calls)) {
+        for (const tc of msg.tool_calls) {
+          if (!tc || tc.type !== "function" || !tc.function) continue;
+          let inputObj;
+          const args = tc.function.arguments;
+          if (typeof args === "string") {
+            try {
+              inputObj = JSON.parse(args);
+            } catch {
+              inputObj = args;
+            }
+          } else if (args && typeof args === "object") {
             inputObj = args;
+          } else {
+            inputObj = {};
           }
-        } else if (args && typeof args === "object") {
-          inputObj = args;
-        } else {
-          inputObj = {};
+          contentBlocks.push({
+            type: "tool_use",
+            id: tc.id || tc.function.name,
+            name: tc.function.name,
+            input: inputObj
+          });
         }
-        contentBlocks.push({
-          type: "tool_use",
-          id: tc.id || tc.function.name,
-          name: tc.function.name,
-          input: inputObj
-        });
+      }
+    } else {
+      // user 消息：文本、图片和文件按原顺序转换
+      contentBlocks.push(
+        ...convertUserContent(msg.content, `messages[${msgIndex}].content`, contentOptions)
+      );
+      // Claude 没有 name 字段，多人对话时把发言人写进文本
+      const firstText = contentBlocks.find((b) => b.type === "text");
+      if (msg.name && firstText) {
+        firstText.text = `${msg.name}: ${firstText.text}`;
       }
     }
 
-    // 文本内容
-    const text = extractTextFromContent(msg.content);
-    if (text && text.trim().length > 0) {
-      contentBlocks.push({ type: "text", text });
-    }
+    // 消息级别的 cache_control 打在最后一个 block 上
+    if (msg.cache_control) markLastCacheable(contentBlocks, msg.cache_control);
 
-    claudeMessages.push({
-      role: role === "assistant" ? "assistant" : "user",
-      content:
-        contentBlocks.length > 0
-          ? contentBlocks
-          : [{ type: "text", text: "" }]
-    });
+    pushMessage(role, contentBlocks, msgIndex);
   }
 
-  const system = systemPieces.length ? systemPieces.join("\n\n") : undefined;
+  const system = !systemBlocks.length
+    ? undefined
+    : systemBlocks.some((b) => b.cache_control)
+    ? systemBlocks
+    : systemBlocks.map((b) => b.text).join("\n\n");
 
-  const claudeTools = convertTools(oaiTools);
-  const claudeToolChoice = convertToolChoice(tool_choice);
+  const claudeTools = convertTools(oaiTools, web_search_options);
+  // Claude 只在声明了 tools 时接受 tool_choice
+  const claudeToolChoice = claudeTools
+    ? convertToolChoice(tool_choice, parallel_tool_calls)
+    : undefined;
   const stop_sequences = !stop
     ? undefined
     : Array.isArray(stop)
@@ -107,30 +269,240 @@ function mapOpenAIRequestToClaude(body) {
     : [stop];
 
   const mergedMetadata = {
+    ...(typeof user === "string" && user ? { user_id: user } : {}),
     ...(metadata || {}),
     ...(claude_metadata || {})
   };
 
-  return {
+  let thinking = claude_thinking;
+  if (!thinking && reasoning_effort) {
+    const resolved = resolveThinkingFromEffort(
+      reasoning_effort,
+      model,
+      max_tokens
+    );
+    if (resolved) {
+      thinking = resolved.thinking;
+      max_tokens = resolved.max_tokens;
+    }
+  }
+
+  const thinkingEnabled = !!thinking && thinking.type === "enabled";
+  if (typeof max_tokens !== "number") {
+    max_tokens = getModelInfo(model).defaultMaxTokens;
+  }
+
+  const claudeReq = {
     system,
-    messages: claudeMessages,
+    messages: normalizeClaudeMessages(claudeMessages),
     tools: claudeTools,
     tool_choice: claudeToolChoice,
     max_tokens,
-    temperature,
+    // 开启 thinking 时 Claude 不接受自定义 temperature / top_k，这里直接丢弃
+    temperature: thinkingEnabled ? undefined : temperature,
     top_p,
-    top_k,
+    top_k: thinkingEnabled ? undefined : top_k,
     stop_sequences,
     metadata: Object.keys(mergedMetadata).length ? mergedMetadata : undefined,
-    thinking: claude_thinking
+    thinking
+  };
+  if (droppedParams.length) claudeReq.droppedParams = droppedParams;
+  const betas = serverToolBetas(claudeTools);
+  if (betas.length) claudeReq.betas = betas;
+  applyResponseFormat(claudeReq, response_format);
+  return applyPromptCaching(claudeReq, promptCacheMode);
+}
+
+function resolveParamMode(requested, keyMode) {
+  if (requested === undefined || requested === null) {
+    return keyMode || config.paramMode;
+  }
+  if (!PARAM_MODES.includes(requested)) {
+    throw invalidRequestError(
+      `Invalid claude_param_mode: ${requested}. Expected one of: ${PARAM_MODES.join(", ")}`,
+      "claude_param_mode"
+    );
+  }
+  return requested;
+}
+
+/**
+ * 按参数对照表检查请求参数（默认 OPENAI_PARAMS，/v1/responses 用自己的表）
+ * strict 模式遇到不支持的参数直接 400，lenient 模式返回被丢弃的参数名
+ * @returns {Array<string>}
+ */
+function checkOpenAIParams(body, mode, table = OPENAI_PARAMS) {
+  const dropped = [];
+  for (const [name, value] of Object.entries(body)) {
+    if (value === undefined || value === null) continue;
+    const rule = Object.prototype.hasOwnProperty.call(table, name)
+      ? table[name]
+      : false;
+    if (rule === true || (typeof rule === "function" && rule(value))) continue;
+
+    if (mode === "strict") {
+      throw invalidRequestError(
+        Object.prototype.hasOwnProperty.call(table, name)
+          ? `Unsupported value for parameter '${name}': ${JSON.stringify(value)} is not supported by Claude models`
+          : `Unrecognized request argument supplied: ${name}`,
+        name,
+        "unsupported_parameter"
+      );
+    }
+    dropped.push(name);
+  }
+  return dropped;
+}
+
+/**
+ * OpenAI reasoning_effort -> Claude thinking 配置
+ * - 模型不支持 thinking 时返回 null（忽略该参数）
+ * - 没给 max_tokens 时自动补上 budget + 正文预留，并受模型输出上限约束
+ * - 给了 max_tokens 时，budget 不能超过 max_tokens - 1（OpenAI 语义里推理 token 也计入上限）
+ * @returns {{thinking: Object, max_tokens: number}|null}
+ */
+function resolveThinkingFromEffort(effort, model, maxTokens) {
+  if (effort === "none") return null;
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_THINKING_BUDGETS, effort)) {
+    throw invalidRequestError(
+      `Invalid reasoning_effort: ${effort}. Expected one of: ${Object.keys(DEFAULT_THINKING_BUDGETS).join(", ")}`,
+      "reasoning_effort"
+    );
+  }
+
+  const modelInfo = getModelInfo(model);
+  if (!modelInfo.capabilities.thinking) return null;
+
+  const budgets = { ...DEFAULT_THINKING_BUDGETS, ...(modelInfo.thinkingBudgets || {}) };
+  let budget = Math.min(budgets[effort], modelInfo.maxOutputTokens - 1);
+
+  if (typeof maxTokens === "number") {
+    budget = Math.min(budget, maxTokens - 1);
+  } else {
+    maxTokens = Math.min(
+      budget + THINKING_ANSWER_TOKENS,
+      modelInfo.maxOutputTokens
+    );
+  }
+
+  // Claude 要求 budget_tokens >= 1024
+  if (budget < 1024) {
+    throw invalidRequestError(
+      "max_tokens / max_completion_tokens is too small to enable reasoning (needs more than 1024)",
+      "max_completion_tokens"
+    );
+  }
+
+  return {
+    thinking: { type: "enabled", budget_tokens: budget },
+    max_tokens: maxTokens
   };
 }
 
+/**
+ * 还原 assistant 消息上一轮的 thinking / redacted_thinking block
+ * 优先用客户端带回的 claude_thinking_state，没有时按 tool_call id 查服务端缓存
+ */
+function restoreThinkingBlocks(msg, msgIndex) {
+  if (msg.claude_thinking_state) {
+    return decodeThinkingState(
+      msg.claude_thinking_state,
+      `messages[${msgIndex}].claude_thinking_state`
+    );
+  }
+  if (Array.isArray(msg.tool_calls) && msg.tool_calls.length) {
+    return recallThinkingBlocks(msg.tool_calls.map((tc) => tc && tc.id)) || [];
+  }
+  return [];
+}
+
+/**
+ * 把本轮响应里的 thinking blocks 编码成 claude_thinking_state，
+ * 有工具调用时顺便按 tool_call id 缓存一份
+ * @param {Array} contentBlocks Claude 响应的 content（流式时为拼好的 block 列表）
+ * @param {Array<string>} toolCallIds 本轮的 tool_call id
+ * @returns {string|undefined}
+ */
+function buildThinkingState(contentBlocks, toolCallIds) {
+  const blocks = pickThinkingBlocks(contentBlocks);
+  if (!blocks.length) return undefined;
+  if (toolCallIds.length) rememberThinkingBlocks(toolCallIds, blocks);
+  return encodeThinkingState(blocks);
+}
+
+/**
+ * OpenAI user message.content -> Claude content blocks
+ * - text 部分 -> {type:"text"}
+ * - image_url 部分 -> {type:"image"}（见 media.js）
+ * - file 部分 -> {type:"document"}（PDF / 纯文本，见 media.js）
+ * 保持原有顺序，其他类型暂时忽略
+ * @param {string|Array|Object} content
+ * @param {string} param 出错时回报的字段路径
+ * @param {Object} [options]
+ * @param {boolean} [options.citations] document block 是否开启 citations
+ */
+function convertUserContent(content, param, options = {}) {
+  if (!content) return [];
+  if (typeof content === "string") {
+    return content.trim().length > 0 ? [{ type: "text", text: content }] : [];
+  }
+
+  const parts = Array.isArray(content) ? content : [content];
+  const blocks = [];
+  parts.forEach((part, i) => {
+    if (!part) return;
+    const partParam = Array.isArray(content) ? `${param}[${i}]` : param;
+    if (part.type === "text") {
+      if (part.text && part.text.trim().length > 0) {
+        blocks.push(copyCacheControl({ type: "text", text: part.text }, part));
+      }
+    } else if (part.type === "image_url") {
+      blocks.push(
+        copyCacheControl(
+          imageUrlPartToClaudeBlock(part, `${partParam}.image_url`),
+          part
+        )
+      );
+    } else if (part.type === "file") {
+      blocks.push(
+        copyCacheControl(filePartToClaudeBlock(part, `${partParam}.file`, options), part)
+      );
+    }
+  });
+  return blocks;
+}
+
+/**
+ * OpenAI tool message.content -> Claude tool_result.content
+ * 纯文本保持字符串；带图片等多个 part 时保留成 block 数组
+ */
+function convertToolResultContent(content, param, options) {
+  if (typeof content === "string") return content;
+  const blocks = convertUserContent(content, param, options);
+  if (blocks.length === 1 && blocks[0].type === "text" && !blocks[0].cache_control) {
+    return blocks[0].text;
+  }
+  return blocks.length ? blocks : "";
+}
+
+/**
+ * OpenAI system message.content -> Claude system text blocks（保留 part 上的 cache_control）
+ */
+function convertSystemContent(content) {
+  if (Array.isArray(content)) {
+    return content
+      .filter((part) => part && part.type === "text" && part.text)
+      .map((part) => copyCacheControl({ type: "text", text: part.text }, part));
+  }
+  const text = extractTextFromContent(content);
+  return text ? [{ type: "text", text }] : [];
+}
+
 /**
  * 提取 OpenAI message.content 中的纯文本
  * - content 可以是 string
  * - 或 [{type: 'text', text: '...'}, {type:'image_url', ...}]
- * 这里只提取 text，忽略图片（如果要 vision，建议直接用 Claude 原生 schema 传）
+ * 这里只提取 text，图片等其他部分由 convertUserContent 处理
  */
 function extractTextFromContent(content) {
   if (!content) return "";
@@ -157,13 +529,19 @@ function extractTextFromContent(content) {
 
 /**
  * OpenAI tools -> Claude tools
+ * - function 工具 -> Claude 自定义工具
+ * - Claude 服务端工具类型（web_search_20250305 等）-> 原样转发
+ * - web_search_options -> 再加一个 web_search 工具（tools 里已经有了就不重复加）
  */
-function convertTools(oaiTools) {
-  if (!Array.isArray(oaiTools) || oaiTools.length === 0) return undefined;
+function convertTools(oaiTools, webSearchOptions) {
   const result = [];
-  for (const t of oaiTools) {
+  for (const t of Array.isArray(oaiTools) ? oaiTools : []) {
+    if (t && isServerToolType(t.type)) {
+      result.push(toServerTool(t));
+      continue;
+    }
     if (!t || t.type !== "function" || !t.function) continue;
-    result.push({
+    const tool = {
       name: t.function.name,
       description: t.function.description,
       input_schema: t.function.parameters || {
@@ -171,7 +549,18 @@ function convertTools(oaiTools) {
         properties: {},
         additionalProperties: false
       }
-    });
+    };
+    // cache_control 可以写在 tool 上，也可以写在 tool.function 上
+    copyCacheControl(tool, t.cache_control ? t : t.function);
+    result.push(tool);
+  }
+  if (webSearchOptions !== undefined && webSearchOptions !== null) {
+    if (typeof webSearchOptions !== "object" || Array.isArray(webSearchOptions)) {
+      throw invalidRequestError("web_search_options must be an object", "web_search_options");
+    }
+    if (!result.some((tool) => tool.name === "web_search")) {
+      result.push(webSearchToolFromOptions(webSearchOptions));
+    }
   }
   return result.length ? result : undefined;
 }
@@ -180,48 +569,90 @@ function convertTools(oaiTools) {
  * OpenAI tool_choice -> Claude tool_choice
  *
  * OpenAI:
- *  - "auto" | "none" | { type:"function", function:{name} }
+ *  - "auto" | "none" | "required" | { type:"function", function:{name} }
+ *  - parallel_tool_calls: false
  * Claude:
- *  - {type:"auto"} | {type:"tool", name:"..."} | "any" 等
+ *  - {type:"auto"} | {type:"none"} | {type:"any"} | {type:"tool", name:"..."}
+ *  - disable_parallel_tool_use: true（type 为 none 时不适用）
  */
-function convertToolChoice(toolChoice) {
-  if (!toolChoice) return undefined;
-  if (typeof toolChoice === "string") {
-    if (toolChoice === "auto") return { type: "auto" };
-    if (toolChoice === "none") return undefined; // 等价于不启用 tools
-    return undefined;
-  }
-  if (
+function convertToolChoice(toolChoice, parallelToolCalls) {
+  let result;
+  if (!toolChoice || toolChoice === "auto") {
+    result = { type: "auto" };
+  } else if (toolChoice === "none") {
+    return { type: "none" };
+  } else if (toolChoice === "required") {
+    result = { type: "any" };
+  } else if (
     typeof toolChoice === "object" &&
     toolChoice.type === "function" &&
     toolChoice.function &&
     toolChoice.function.name
   ) {
-    return {
+    result = {
       type: "tool",
       name: toolChoice.function.name
     };
+  } else {
+    throw invalidRequestError(
+      `Invalid tool_choice: ${JSON.stringify(toolChoice)}. Expected "auto", "none", "required" or {"type":"function","function":{"name":...}}`,
+      "tool_choice"
+    );
+  }
+
+  if (parallelToolCalls === false) {
+    result.disable_parallel_tool_use = true;
+  } else if (!toolChoice) {
+    // 没指定 tool_choice 也没关并行调用时，沿用 Claude 的默认行为
+    return undefined;
   }
-  return undefined;
+  return result;
 }
 
 /**
  * 将 Claude 的 message 响应转换为 OpenAI chat.completions 响应
  * @param {Object} message Claude message 对象 (Vertex rawPredict 返回的 data)
  * @param {string} model 模型 ID
+ * @param {Object} [options]
+ * @param {Object} [options.responseFormat] claudeReq.responseFormat，见 structuredOutput.js
  */
-function mapClaudeResponseToOpenAI(message, model) {
+function mapClaudeResponseToOpenAI(message, model, { responseFormat } = {}) {
   const contentBlocks = Array.isArray(message.content)
     ? message.content
     : [];
 
+  // json_object 的预填内容不会出现在响应里，这里补回去
+  const prefill = (responseFormat && responseFormat.prefill) || "";
   const textParts = [];
+  const thinkingParts = [];
   const toolCalls = [];
+  const annotations = [];
+  // 已拼接的正文长度，annotation 的 start_index / end_index 按它计算
+  let textLength = prefill.length;
 
   for (const block of contentBlocks) {
     if (!block || !block.type) continue;
     if (block.type === "text") {
-      if (block.text) textParts.push(block.text);
+      if (!block.text) continue;
+      for (const citation of block.citations || []) {
+        const annotation = mapCitationToAnnotation(
+          citation,
+          textLength,
+          textLength + block.text.length
+        );
+        if (annotation) annotations.push(annotation);
+      }
+      textParts.push(block.text);
+      textLength += block.text.length;
+    } else if (
+      block.type === "tool_use" &&
+      responseFormat &&
+      block.name === responseFormat.toolName
+    ) {
+      // json_schema 的合成工具：入参就是结构化输出
+      const json = JSON.stringify(block.input ?? {});
+      textParts.push(json);
+      textLength += json.length;
     } else if (block.type === "tool_use") {
       toolCalls.push({
         id: block.id || `call_${toolCalls.length}`,
@@ -231,32 +662,39 @@ function mapClaudeResponseToOpenAI(message, model) {
           arguments: JSON.stringify(block.input ?? {})
         }
       });
+    } else if (block.type === "thinking") {
+      if (block.thinking) thinkingParts.push(block.thinking);
     }
-    // thinking / other block 类型这里直接忽略不往外透
+    // redacted_thinking 是加密内容，没有可展示的文本；其他 block 类型也直接忽略
   }
 
-  const combinedText = textParts.join("");
+  const combinedText = prefill + textParts.join("");
 
   const assistantMessage = {
     role: "assistant",
     content: combinedText
   };
+  if (thinkingParts.length) {
+    // 和 DeepSeek / Cherry Studio 等客户端约定一致的字段名
+    assistantMessage.reasoning_content = thinkingParts.join("\n\n");
+  }
+  if (annotations.length) {
+    assistantMessage.annotations = annotations;
+  }
   if (toolCalls.length) {
     assistantMessage.tool_calls = toolCalls;
   }
+  // 多轮工具调用时客户端需要原样带回，见 thinkingState.js
+  const thinkingState = buildThinkingState(
+    contentBlocks,
+    toolCalls.map((tc) => tc.id)
+  );
+  if (thinkingState) {
+    assistantMessage.claude_thinking_state = thinkingState;
+  }
 
   const now = Math.floor(Date.now() / 1000);
 
-  const usage = message.usage || {};
-  const promptTokens =
-    typeof usage.input_tokens === "number" ? usage.input_tokens : null;
-  const completionTokens =
-    typeof usage.output_tokens === "number" ? usage.output_tokens : null;
-  const totalTokens =
-    typeof promptTokens === "number" && typeof completionTokens === "number"
-      ? promptTokens + completionTokens
-      : null;
-
   return {
     id: message.id || `chatcmpl-${now}`,
     object: "chat.completion",
@@ -266,23 +704,72 @@ function mapClaudeResponseToOpenAI(message, model) {
       {
         index: 0,
         message: assistantMessage,
-        finish_reason: mapStopReason(message.stop_reason)
+        // 只调用了合成工具时按正常结束处理
+        finish_reason:
+          message.stop_reason === "tool_use" && !toolCalls.length
+            ? "stop"
+            : mapStopReason(message.stop_reason)
       }
     ],
-    usage:
-      promptTokens != null || completionTokens != null
-        ? {
-            prompt_tokens: promptTokens,
-            completion_tokens: completionTokens,
-            total_tokens: totalTokens
-          }
-        : undefined
+    usage: mapClaudeUsageToOpenAI(message.usage)
+  };
+}
+
+/**
+ * Claude usage -> OpenAI usage
+ * Claude 的 input_tokens 不含缓存部分，OpenAI 的 prompt_tokens 含，
+ * 缓存命中的部分再单独放到 prompt_tokens_details.cached_tokens
+ */
+function mapClaudeUsageToOpenAI(usage) {
+  if (!usage) return undefined;
+  const inputTokens =
+    typeof usage.input_tokens === "number" ? usage.input_tokens : null;
+  const completionTokens =
+    typeof usage.output_tokens === "number" ? usage.output_tokens : null;
+  if (inputTokens == null && completionTokens == null) return undefined;
+
+  const cachedTokens = usage.cache_read_input_tokens || 0;
+  const promptTokens =
+    inputTokens == null
+      ? null
+      : inputTokens + cachedTokens + (usage.cache_creation_input_tokens || 0);
+  const totalTokens =
+    typeof promptTokens === "number" && typeof completionTokens === "number"
+      ? promptTokens + completionTokens
+      : null;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: totalTokens,
+    prompt_tokens_details: { cached_tokens: cachedTokens }
   };
 }
 
+/**
+ * 合并流式事件里的 Claude usage：
+ * message_start.message.usage 给出输入 token，message_delta.usage 给出累计的输出 token
+ * 后到的数值字段覆盖先到的
+ */
+function mergeClaudeUsage(target, usage) {
+  if (!usage || typeof usage !== "object") return target;
+  for (const [key, value] of Object.entries(usage)) {
+    if (typeof value === "number") target[key] = value;
+  }
+  return target;
+}
+
+/**
+ * Claude stop_reason -> OpenAI finish_reason
+ * pause_turn（服务端工具执行时间过长，Claude 暂停了这一轮）OpenAI 没有对应值，原样返回 "pause_turn"：
+ * 客户端把这条 assistant 消息（content + claude_thinking_state）原样放在 messages 最后、不加新的 user 消息再请求一次，
+ * Claude 会从暂停处接着执行
+ */
 function mapStopReason(stopReason) {
   if (!stopReason) return null;
   switch (stopReason) {
+    case "pause_turn":
+      return "pause_turn";
     case "end_turn":
       return "stop";
     case "max_tokens":
@@ -297,6 +784,12 @@ function mapStopReason(stopReason) {
 }
 
 module.exports = {
+  resolveParamMode,
+  checkOpenAIParams,
   mapOpenAIRequestToClaude,
-  mapClaudeResponseToOpenAI
+  mapClaudeResponseToOpenAI,
+  mapStopReason,
+  mergeClaudeUsage,
+  mapClaudeUsageToOpenAI,
+  buildThinkingState
 };
@@ -0,0 +1,62 @@
+// src/pricing.js
+
+/**
+ * 各模型价格（美元 / 百万 token），按模型 ID 最长前缀匹配
+ * 缓存写入按 input 的 1.25 倍、缓存读取按 0.1 倍计（Anthropic 官方 5 分钟缓存的定价）
+ * 可以用 MODEL_PRICES（JSON 对象，key 为模型前缀）覆盖 / 补充
+ */
+const DEFAULT_PRICES = {
+  "claude-opus-4-6": { input: 5, output: 25 },
+  "claude-opus-4-5": { input: 5, output: 25 },
+  "claude-opus-4": { input: 15, output: 75 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-haiku-4-5": { input: 1, output: 5 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-haiku": { input: 0.25, output: 1.25 },
+  // Gemini 按 20 万 token 以内的档位；thinking token 按 output 计
+  "gemini-3-pro": { input: 2, output: 12 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 }
+};
+
+function loadPrices() {
+  if (!process.env.MODEL_PRICES) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.MODEL_PRICES) };
+  } catch (err) {
+    throw new Error(`MODEL_PRICES is not valid JSON: ${err.message}`);
+  }
+}
+
+const prices = loadPrices();
+
+function getModelPrice(model) {
+  const prefix = Object.keys(prices)
+    .filter((p) => typeof model === "string" && model.startsWith(p))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * 按 Claude usage 估算费用（美元），没有价格信息的模型返回 null
+ */
+function estimateCost(model, usage) {
+  const price = getModelPrice(model);
+  if (!price || !usage) return null;
+  const cacheWrite = price.cacheWrite ?? price.input * 1.25;
+  const cacheRead = price.cacheRead ?? price.input * 0.1;
+  const cost =
+    ((usage.input_tokens || 0) * price.input +
+      (usage.output_tokens || 0) * price.output +
+      (usage.cache_creation_input_tokens || 0) * cacheWrite +
+      (usage.cache_read_input_tokens || 0) * cacheRead) /
+    1_000_000;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+module.exports = {
+  getModelPrice,
+  estimateCost
+};
@@ -0,0 +1,144 @@
+// src/promptCache.js
+
+const { config } = require("./config");
+const { invalidRequestError } = require("./errors");
+
+/**
+ * Claude prompt caching
+ * - explicit：只保留客户端在 content part / tool / message 上写的 cache_control
+ * - auto：在此基础上自动给 tools、system 和最近的对话前缀打断点
+ * - off：去掉所有 cache_control
+ * 全局默认值见 PROMPT_CACHE_MODE，单个请求可用 claude_prompt_cache 覆盖
+ */
+
+const PROMPT_CACHE_MODES = ["off", "explicit", "auto"];
+
+// Claude 每个请求最多 4 个 cache_control 断点
+const MAX_CACHE_BREAKPOINTS = 4;
+
+const ephemeral = () => ({ type: "ephemeral" });
+
+function resolvePromptCacheMode(requested) {
+  if (requested === undefined || requested === null) {
+    return config.promptCacheMode;
+  }
+  if (!PROMPT_CACHE_MODES.includes(requested)) {
+    throw invalidRequestError(
+      `Invalid claude_prompt_cache: ${requested}. Expected one of: ${PROMPT_CACHE_MODES.join(", ")}`,
+      "claude_prompt_cache"
+    );
+  }
+  return requested;
+}
+
+// thinking block 和空文本不能带 cache_control
+function isCacheableBlock(block) {
+  if (!block || block.type === "thinking" || block.type === "redacted_thinking") {
+    return false;
+  }
+  return !(block.type === "text" && !block.text);
+}
+
+/**
+ * 把客户端写的 cache_control 拷到 Claude block 上
+ */
+function copyCacheControl(block, source) {
+  if (
+    source &&
+    source.cache_control &&
+    typeof source.cache_control === "object" &&
+    isCacheableBlock(block)
+  ) {
+    block.cache_control = source.cache_control;
+  }
+  return block;
+}
+
+/**
+ * 给一组 block 的最后一个可缓存 block 打断点，成功返回 true
+ */
+function markLastCacheable(blocks, cacheControl = ephemeral()) {
+  if (!Array.isArray(blocks)) return false;
+  for (let i = blocks.length - 1; i >= 0; i--) {
+    if (isCacheableBlock(blocks[i])) {
+      if (!blocks[i].cache_control) blocks[i].cache_control = cacheControl;
+      return true;
+    }
+  }
+  return false;
+}
+
+function forEachCacheHolder(claudeReq, fn) {
+  for (const tool of claudeReq.tools || []) fn(tool);
+  if (Array.isArray(claudeReq.system)) claudeReq.system.forEach(fn);
+  for (const msg of claudeReq.messages || []) {
+    if (Array.isArray(msg.content)) msg.content.forEach(fn);
+  }
+}
+
+function countBreakpoints(claudeReq) {
+  let count = 0;
+  forEachCacheHolder(claudeReq, (holder) => {
+    if (holder && holder.cache_control) count += 1;
+  });
+  return count;
+}
+
+/**
+ * 按模式处理 Claude 请求里的 cache_control（原地修改）
+ * auto 模式的断点优先级：tools -> system -> 最后一条消息 -> 上一条 user 消息
+ * （Claude 会在断点前自动回查约 20 个 block，所以上一轮写入的缓存能被这一轮命中）
+ */
+function applyPromptCaching(claudeReq, mode) {
+  if (mode === "off") {
+    forEachCacheHolder(claudeReq, (holder) => {
+      if (holder) delete holder.cache_control;
+    });
+    return claudeReq;
+  }
+  if (mode !== "auto") return claudeReq;
+
+  let budget = MAX_CACHE_BREAKPOINTS - countBreakpoints(claudeReq);
+  const take = (marked) => {
+    if (marked) budget -= 1;
+  };
+
+  if (budget > 0 && Array.isArray(claudeReq.tools) && claudeReq.tools.length) {
+    const last = claudeReq.tools[claudeReq.tools.length - 1];
+    if (!last.cache_control) {
+      last.cache_control = ephemeral();
+      take(true);
+    }
+  }
+
+  if (budget > 0 && claudeReq.system) {
+    if (typeof claudeReq.system === "string") {
+      claudeReq.system = [{ type: "text", text: claudeReq.system }];
+    }
+    const last = claudeReq.system[claudeReq.system.length - 1];
+    if (last && !last.cache_control) take(markLastCacheable(claudeReq.system));
+  }
+
+  const messages = claudeReq.messages || [];
+  const userIndexes = messages
+    .map((m, i) => (m.role === "user" ? i : -1))
+    .filter((i) => i !== -1);
+  const candidates = [messages.length - 1, userIndexes[userIndexes.length - 2]];
+  for (const i of candidates) {
+    if (budget <= 0) break;
+    if (i === undefined || i < 0) continue;
+    const content = messages[i].content;
+    if (Array.isArray(content) && !content.some((b) => b && b.cache_control)) {
+      take(markLastCacheable(content));
+    }
+  }
+
+  return claudeReq;
+}
+
+module.exports = {
+  resolvePromptCacheMode,
+  copyCacheControl,
+  markLastCacheable,
+  applyPromptCaching
+};
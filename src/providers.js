@@ -0,0 +1,77 @@
+// src/providers.js
+
+const { config } = require("./config");
+const { getModelInfo, listModels } = require("./modelRegistry");
+const { geminiProvider } = require("./geminiProvider");
+
+/**
+ * 上游 provider：网关内部统一用 Claude Messages 格式（请求、响应、SSE 事件），
+ * 每个 provider 负责在 Claude 格式和自己的上游格式之间转换，按模型注册表的 provider 字段选择
+ *   publisher                          Vertex URL 里的 publishers/{publisher}
+ *   buildRequest(claudeBody, opts)     -> { model, method, body, headers? }，其余字段原样传给下面两个方法
+ *   parseResponse(json, request)       非流式响应 -> Claude message
+ *   translateStream(res, request)      流式响应 -> 内容为 Claude SSE 的 fetch Response
+ *   buildCountTokensRequest / parseCountTokens   /v1/messages/count_tokens 用
+ * 重试、故障转移、超时和鉴权都在 vertexClient.js 里，和 provider 无关
+ */
+
+// Claude：请求和响应本来就是 Messages 格式，只补 anthropic_version 和 beta 头
+const anthropicProvider = {
+  publisher: "anthropic",
+
+  buildRequest(claudeBody, { model, betas }) {
+    return {
+      model,
+      method: "rawPredict",
+      body: { ...claudeBody, anthropic_version: config.anthropicVersion },
+      headers: betas && betas.length ? { "anthropic-beta": betas.join(",") } : undefined
+    };
+  },
+
+  parseResponse(json) {
+    return json;
+  },
+
+  translateStream(res) {
+    return res;
+  },
+
+  // count-tokens 端点的 model 留在请求体里，URL 固定为 count-tokens
+  buildCountTokensRequest(claudeBody, { model, betas }) {
+    return {
+      model: "count-tokens",
+      method: "rawPredict",
+      body: { ...claudeBody, model, anthropic_version: config.anthropicVersion },
+      headers: betas && betas.length ? { "anthropic-beta": betas.join(",") } : undefined
+    };
+  },
+
+  parseCountTokens(json) {
+    return json;
+  }
+};
+
+const PROVIDERS = {
+  anthropic: anthropicProvider,
+  gemini: geminiProvider
+};
+
+// 启动时检查注册表里配置的 provider，避免请求时才发现拼错
+for (const entry of listModels()) {
+  if (!PROVIDERS[entry.provider]) {
+    throw new Error(
+      `Unknown provider "${entry.provider}" for model ${entry.id}. Expected one of: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+}
+
+/**
+ * @param {string} model 真实模型 ID（已解析别名）
+ */
+function getProvider(model) {
+  return PROVIDERS[getModelInfo(model).provider] || anthropicProvider;
+}
+
+module.exports = {
+  getProvider
+};
@@ -0,0 +1,78 @@
+// src/requestAbort.js
+
+const { config } = require("./config");
+
+/**
+ * 上游请求的取消与超时
+ * - 客户端断开：取消上游 fetch（包括正在读的流），不再继续消耗 / 计费
+ * - 超时：connect / first_byte 在 vertexClient 里按每次尝试计时，total 在这里按整个请求计时
+ * 取消 / 超时都用 AbortController 的 reason 传递，fetch 会直接以这个 reason 失败
+ */
+
+/**
+ * 客户端断开导致的取消（499，不重试）
+ */
+function clientClosedError() {
+  const err = new Error("Client closed the request");
+  err.status = 499;
+  err.code = "client_closed_request";
+  err.cancelled = true;
+  err.upstream = true;
+  return err;
+}
+
+/**
+ * 上游超时（504），kind 为 connect / first_byte / total
+ */
+function upstreamTimeoutError(kind, ms) {
+  const err = new Error(`Upstream ${kind.replace("_", " ")} timeout after ${ms}ms`);
+  err.status = 504;
+  err.timeout = kind;
+  err.upstream = true;
+  return err;
+}
+
+/**
+ * 给一次网关请求创建上游 AbortSignal：响应在结束前被关闭（客户端断开）或超过总时长时中止
+ * 请求处理完后要调用 cleanup()
+ * @param {import("express").Response} res
+ * @returns {{signal: AbortSignal, cleanup: Function}}
+ */
+function createUpstreamAbort(res) {
+  const controller = new AbortController();
+  const onClose = () => {
+    if (!res.writableFinished) controller.abort(clientClosedError());
+  };
+  res.on("close", onClose);
+
+  const totalMs = config.timeouts.totalMs;
+  const timer = setTimeout(
+    () => controller.abort(upstreamTimeoutError("total", totalMs)),
+    totalMs
+  );
+
+  return {
+    signal: controller.signal,
+    cleanup() {
+      clearTimeout(timer);
+      res.off("close", onClose);
+    }
+  };
+}
+
+/**
+ * 日志里区分的请求结果：ok / cancelled / timeout / error
+ */
+function describeOutcome(err) {
+  if (!err) return "ok";
+  if (err.cancelled) return "cancelled";
+  if (err.timeout) return `timeout(${err.timeout})`;
+  return `error(${err.status || "network"})`;
+}
+
+module.exports = {
+  clientClosedError,
+  upstreamTimeoutError,
+  createUpstreamAbort,
+  describeOutcome
+};
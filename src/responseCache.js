@@ -0,0 +1,312 @@
+// src/responseCache.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { config } = require("./config");
+const { logger } = require("./logger");
+const { isServerToolBlock } = require("./serverTools");
+
+/**
+ * 响应缓存：相同的 Claude 请求直接返回上次的 Claude message，不再调用 Vertex
+ * - 后端：RESPONSE_CACHE=memory（LRU）/ disk（每条一个 JSON 文件），默认 off
+ * - 默认只缓存确定性请求（temperature: 0 且没开 thinking）
+ * - 单个请求可以用 x-response-cache: on / off 头或 claude_response_cache: true / false 覆盖
+ * 缓存的是 Claude 原始 message，命中后按普通流程转换成 OpenAI 响应（流式请求按 chunk 回放）
+ */
+
+// 参与缓存 key 的 Claude 请求字段（metadata 等不影响输出的字段不算）
+const KEY_FIELDS = [
+  "system",
+  "messages",
+  "tools",
+  "tool_choice",
+  "max_tokens",
+  "temperature",
+  "top_p",
+  "top_k",
+  "stop_sequences",
+  "thinking",
+  // anthropic-beta 会改变上游行为（比如服务端工具的版本）
+  "betas",
+  // strict / 非 strict 的 json_schema 请求体一样，但缓存的结果不一定都通过了校验
+  "responseFormat"
+];
+
+/**
+ * 按 key 排序后序列化，保证字段顺序不同的同一个请求得到同一个 key
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function responseCacheKey(model, claudeReq) {
+  const normalized = { model };
+  for (const field of KEY_FIELDS) normalized[field] = claudeReq[field];
+  return crypto.createHash("sha256").update(canonicalJson(normalized)).digest("hex");
+}
+
+/**
+ * 内存 LRU：Map 的插入顺序即访问顺序，超过条数或总字节数时从最旧的开始淘汰
+ */
+function createMemoryBackend({ maxEntries, maxBytes }) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.size;
+    entries.delete(key);
+  };
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return JSON.parse(entry.json);
+    },
+    async set(key, value, ttlMs) {
+      const json = JSON.stringify(value);
+      const size = Buffer.byteLength(json);
+      if (size > maxBytes) return;
+      remove(key);
+      entries.set(key, { json, size, expiresAt: Date.now() + ttlMs });
+      totalBytes += size;
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && totalBytes <= maxBytes) break;
+        remove(oldest);
+      }
+    }
+  };
+}
+
+/**
+ * 磁盘缓存：<dir>/<key>.json，内容 { expiresAt, value }
+ * 启动时扫描目录建立索引，之后按访问顺序淘汰，限制同内存后端
+ */
+function createDiskBackend({ dir, maxEntries, maxBytes }) {
+  fs.mkdirSync(dir, { recursive: true });
+  // key -> size，Map 顺序为访问顺序
+  const index = new Map();
+  // 正在写盘的 key -> Promise（流式响应在连接关闭后才写缓存，紧接着的相同请求要等它写完）
+  const pending = new Map();
+  let totalBytes = 0;
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => {
+      const stat = fs.statSync(path.join(dir, f));
+      return { key: f.slice(0, -5), size: stat.size, mtime: stat.mtimeMs };
+    })
+    .sort((a, b) => a.mtime - b.mtime);
+  for (const f of files) {
+    index.set(f.key, f.size);
+    totalBytes += f.size;
+  }
+
+  const fileOf = (key) => path.join(dir, `${key}.json`);
+  const remove = async (key) => {
+    if (!index.has(key)) return;
+    totalBytes -= index.get(key);
+    index.delete(key);
+    await fs.promises.rm(fileOf(key), { force: true });
+  };
+
+  const write = async (key, json, size) => {
+    await remove(key);
+    const tmp = `${fileOf(key)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, json);
+    await fs.promises.rename(tmp, fileOf(key));
+    index.set(key, size);
+    totalBytes += size;
+    for (const oldest of [...index.keys()]) {
+      if (index.size <= maxEntries && totalBytes <= maxBytes) break;
+      await remove(oldest);
+    }
+  };
+
+  return {
+    async get(key) {
+      if (pending.has(key)) await pending.get(key).catch(() => {});
+      if (!index.has(key)) return null;
+      let entry;
+      try {
+        entry = JSON.parse(await fs.promises.readFile(fileOf(key), "utf8"));
+      } catch {
+        await remove(key);
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        await remove(key);
+        return null;
+      }
+      const size = index.get(key);
+      index.delete(key);
+      index.set(key, size);
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      const json = JSON.stringify({ expiresAt: Date.now() + ttlMs, value });
+      const size = Buffer.byteLength(json);
+      if (size > maxBytes) return;
+      const promise = write(key, json, size);
+      pending.set(key, promise);
+      try {
+        await promise;
+      } finally {
+        if (pending.get(key) === promise) pending.delete(key);
+      }
+    }
+  };
+}
+
+function createBackend() {
+  const options = {
+    maxEntries: config.responseCache.maxEntries,
+    maxBytes: config.responseCache.maxBytes
+  };
+  if (config.responseCache.backend === "memory") return createMemoryBackend(options);
+  if (config.responseCache.backend === "disk") {
+    return createDiskBackend({ ...options, dir: config.responseCache.dir });
+  }
+  return null;
+}
+
+const backend = createBackend();
+
+function parseSwitch(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value === "boolean") return value;
+  const v = String(value).toLowerCase();
+  if (["1", "true", "on", "yes"].includes(v)) return true;
+  if (["0", "false", "off", "no"].includes(v)) return false;
+  return undefined;
+}
+
+/**
+ * 这个请求要不要走缓存：后端没开一律不走；请求头 / 扩展字段优先；否则只缓存确定性请求
+ * @param {Object} req Express 请求
+ * @param {Object} claudeReq mapOpenAIRequestToClaude 的结果
+ * @param {*} [override] 请求体里的 claude_response_cache
+ */
+function shouldUseResponseCache(req, claudeReq, override) {
+  if (!backend) return false;
+  const explicit = parseSwitch(req.headers["x-response-cache"]) ?? parseSwitch(override);
+  if (explicit !== undefined) return explicit;
+  return claudeReq.temperature === 0 && !claudeReq.thinking;
+}
+
+async function getCachedResponse(key) {
+  try {
+    return await backend.get(key);
+  } catch (err) {
+    logger.warn("response cache read failed", { err });
+    return null;
+  }
+}
+
+/**
+ * 只缓存正常结束的响应；写失败不影响请求本身
+ * 用过服务端工具（web search 等）的响应不缓存，结果随时间变化
+ */
+async function setCachedResponse(key, message) {
+  if (!message || !message.stop_reason) return;
+  if ((message.content || []).some(isServerToolBlock)) return;
+  try {
+    await backend.set(key, message, config.responseCache.ttlMs);
+  } catch (err) {
+    logger.warn("response cache write failed", { err });
+  }
+}
+
+/**
+ * 把 Claude SSE 事件拼回一个完整的 message（和非流式响应同构），用于流式请求写缓存
+ */
+function createMessageAccumulator() {
+  let message = null;
+  const blocks = [];
+  const partialJson = new Map();
+
+  return {
+    push(event) {
+      if (event.type === "message_start" && event.message) {
+        message = { ...event.message, content: [] };
+      } else if (event.type === "content_block_start" && event.content_block) {
+        blocks[event.index] = { ...event.content_block };
+        const type = event.content_block.type;
+        if (type === "tool_use" || type === "server_tool_use") partialJson.set(event.index, "");
+      } else if (event.type === "content_block_delta" && event.delta) {
+        const block = blocks[event.index];
+        if (!block) return;
+        const d = event.delta;
+        if (d.type === "text_delta") block.text = (block.text || "") + (d.text || "");
+        else if (d.type === "thinking_delta") {
+          block.thinking = (block.thinking || "") + (d.thinking || "");
+        } else if (d.type === "signature_delta") {
+          block.signature = (block.signature || "") + (d.signature || "");
+        } else if (d.type === "citations_delta") {
+          block.citations = [...(block.citations || []), d.citation];
+        } else if (d.type === "input_json_delta") {
+          partialJson.set(event.index, partialJson.get(event.index) + (d.partial_json || ""));
+        }
+      } else if (event.type === "message_delta" && message) {
+        Object.assign(message, event.delta || {});
+        message.usage = { ...(message.usage || {}), ...(event.usage || {}) };
+      }
+    },
+    /**
+     * 拼好的 content block；参数不是合法 JSON 的工具调用（比如被 max_tokens 截断）跳过，其余照常返回
+     */
+    contentBlocks() {
+      const content = [];
+      blocks.forEach((block, index) => {
+        if (!block) return;
+        if (partialJson.has(index)) {
+          const json = partialJson.get(index);
+          try {
+            block.input = json ? JSON.parse(json) : {};
+          } catch {
+            return;
+          }
+        }
+        content.push(block);
+      });
+      return content;
+    },
+    /**
+     * 拼好的 message；流没有正常开始或工具参数不是合法 JSON 时返回 null
+     */
+    message() {
+      if (!message) return null;
+      const content = this.contentBlocks();
+      if (content.length !== blocks.filter(Boolean).length) return null;
+      return { ...message, content };
+    }
+  };
+}
+
+module.exports = {
+  canonicalJson,
+  responseCacheKey,
+  shouldUseResponseCache,
+  getCachedResponse,
+  setCachedResponse,
+  createMessageAccumulator
+};
@@ -0,0 +1,62 @@
+// src/responseStore.js
+
+const fs = require("fs");
+const path = require("path");
+
+const { config } = require("./config");
+
+/**
+ * /v1/responses 的会话存储：每个 response 一个文件 <dir>/<id>.json，内容
+ *   { keyId, response, items }
+ * items 是到这一轮为止的完整对话（历史 items + 本次 input + 本次 output），
+ * 下一轮带 previous_response_id 时直接接在前面；有 API Key 时只能读到自己的 response
+ * 用同步写，保证流式响应结束后客户端立刻发下一轮也能读到
+ */
+
+function responseDir() {
+  fs.mkdirSync(config.responsesDir, { recursive: true });
+  return config.responsesDir;
+}
+
+function responsePath(id) {
+  return path.join(responseDir(), `${id}.json`);
+}
+
+// id 会拼进文件路径，只接受我们自己生成的格式
+function isValidResponseId(id) {
+  return typeof id === "string" && /^resp_[0-9a-f]{24}$/.test(id);
+}
+
+function saveStoredResponse({ response, items, keyId = null }) {
+  const tmp = `${responsePath(response.id)}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ keyId, response, items }));
+  fs.renameSync(tmp, responsePath(response.id));
+}
+
+/**
+ * @returns {{keyId: string|null, response: Object, items: Array<Object>}|null}
+ */
+function getStoredResponse(id, keyId) {
+  if (!isValidResponseId(id)) return null;
+  let record;
+  try {
+    record = JSON.parse(fs.readFileSync(responsePath(id), "utf8"));
+  } catch {
+    return null;
+  }
+  if (keyId && record.keyId && record.keyId !== keyId) return null;
+  return record;
+}
+
+function deleteStoredResponse(id, keyId) {
+  const record = getStoredResponse(id, keyId);
+  if (!record) return null;
+  fs.rmSync(responsePath(id), { force: true });
+  return record;
+}
+
+module.exports = {
+  saveStoredResponse,
+  getStoredResponse,
+  deleteStoredResponse
+};
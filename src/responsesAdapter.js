@@ -0,0 +1,621 @@
+// src/responsesAdapter.js
+
+const crypto = require("crypto");
+
+const { invalidRequestError } = require("./errors");
+const { resolveParamMode, checkOpenAIParams } = require("./openaiAdapter");
+const { isServerToolType, webSearchToolFromOptions } = require("./serverTools");
+
+/**
+ * OpenAI Responses API <-> Chat Completions
+ * 请求：input items 先转成 Chat Completions 的 messages，再走 mapOpenAIRequestToClaude，
+ *       校验、消息规整、工具、thinking 回传等逻辑和 /v1/chat/completions 完全一致
+ * 响应：Claude 结果先经 mapClaudeResponseToOpenAI 转成 chat.completion，再整理成 output items；
+ *       流式时把 chat.completion.chunk 转成 Responses 的 typed SSE 事件（见 createResponsesStreamSink）
+ * reasoning item 的 encrypted_content 就是 claude_thinking_state，带回来时还原 thinking 和服务端工具 block
+ */
+
+/**
+ * Responses 参数对照表，规则同 OPENAI_PARAMS
+ */
+const RESPONSES_PARAMS = {
+  model: true,
+  input: true,
+  instructions: true,
+  previous_response_id: true,
+  stream: true,
+  stream_options: true,
+  store: true,
+  tools: true,
+  tool_choice: true,
+  parallel_tool_calls: true,
+  max_output_tokens: true,
+  temperature: true,
+  top_p: true,
+  top_k: true,
+  metadata: true, // 只保存在 response 对象上，不发给上游
+  user: true, // -> metadata.user_id
+  reasoning: true, // effort -> reasoning_effort
+  text: true, // format -> response_format
+  include: true, // reasoning item 总是带 encrypted_content，其他 include 项忽略
+  claude_thinking: true,
+  claude_metadata: true,
+  claude_prompt_cache: true,
+  claude_param_mode: true,
+  claude_citations: true,
+  truncation: (v) => v === "disabled",
+  background: (v) => v === false,
+  service_tier: (v) => v === "auto" || v === "default",
+  top_logprobs: (v) => v === 0
+};
+
+function itemId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+/**
+ * input 可以是字符串（等价于一条 user 消息）或 item 数组
+ * @returns {Array<Object>}
+ */
+function normalizeResponsesInput(input) {
+  if (typeof input === "string") {
+    return [{ type: "message", role: "user", content: input }];
+  }
+  if (!Array.isArray(input)) {
+    throw invalidRequestError("input must be a string or an array of input items", "input");
+  }
+  input.forEach((item, i) => {
+    if (!item || typeof item !== "object") {
+      throw invalidRequestError("Each input item must be an object", `input[${i}]`);
+    }
+  });
+  return input;
+}
+
+/**
+ * Responses content（字符串或 input_text / output_text / input_image / input_file 等 part）-> Chat Completions content
+ */
+function convertResponsesContent(content, param) {
+  if (content === undefined || content === null || typeof content === "string") {
+    return content || "";
+  }
+  if (!Array.isArray(content)) {
+    throw invalidRequestError("content must be a string or an array of content parts", param);
+  }
+  return content.map((part, i) => {
+    const partParam = `${param}[${i}]`;
+    let converted;
+    if (!part) {
+      throw invalidRequestError("Content parts must be objects", partParam);
+    } else if (part.type === "input_text" || part.type === "output_text") {
+      converted = { type: "text", text: part.text || "" };
+    } else if (part.type === "refusal") {
+      converted = { type: "text", text: part.refusal || "" };
+    } else if (part.type === "input_image") {
+      if (!part.image_url) {
+        throw invalidRequestError(
+          "input_image requires image_url (file_id is not supported)",
+          `${partParam}.image_url`
+        );
+      }
+      converted = {
+        type: "image_url",
+        image_url: { url: part.image_url, detail: part.detail }
+      };
+    } else if (part.type === "input_file") {
+      converted = {
+        type: "file",
+        file: { file_data: part.file_data, filename: part.filename, file_id: part.file_id }
+      };
+    } else {
+      throw invalidRequestError(
+        `Unsupported content part type: ${part.type}`,
+        `${partParam}.type`
+      );
+    }
+    if (part.cache_control) converted.cache_control = part.cache_control;
+    return converted;
+  });
+}
+
+/**
+ * input items -> Chat Completions messages
+ * - message -> 同角色消息
+ * - function_call -> 并入同一轮的 assistant 消息的 tool_calls（前面不是 assistant 时新建一条）
+ * - function_call_output -> tool 消息
+ * - reasoning -> encrypted_content 作为同一轮 assistant 消息的 claude_thinking_state
+ * @param {Array<Object>} items 历史 items + 本次 input
+ * @param {number} offset 历史 items 的条数，出错时 param 按本次 input 的下标报告
+ */
+function convertInputItems(items, offset) {
+  const messages = [];
+  let pendingThinkingState = null;
+  const attachThinking = (msg) => {
+    if (pendingThinkingState) {
+      msg.claude_thinking_state = pendingThinkingState;
+      pendingThinkingState = null;
+    }
+    return msg;
+  };
+
+  items.forEach((item, i) => {
+    const param = `input[${i - offset}]`;
+    const type = item.type || (item.role ? "message" : undefined);
+
+    if (type === "message") {
+      if (!["user", "assistant", "system", "developer"].includes(item.role)) {
+        throw invalidRequestError(
+          `Unsupported role "${item.role}". Expected one of user, assistant, system, developer`,
+          `${param}.role`
+        );
+      }
+      const msg = {
+        role: item.role,
+        content: convertResponsesContent(item.content, `${param}.content`)
+      };
+      messages.push(item.role === "assistant" ? attachThinking(msg) : msg);
+    } else if (type === "function_call") {
+      if (!item.call_id || !item.name) {
+        throw invalidRequestError("function_call items require call_id and name", param);
+      }
+      const toolCall = {
+        id: item.call_id,
+        type: "function",
+        function: { name: item.name, arguments: item.arguments || "{}" }
+      };
+      // 拆成两条 assistant 消息的话，thinking 会按 tool_call id 从缓存里再还原一次
+      const prev = messages[messages.length - 1];
+      if (prev && prev.role === "assistant" && !pendingThinkingState) {
+        prev.tool_calls = [...(prev.tool_calls || []), toolCall];
+      } else {
+        messages.push(
+          attachThinking({ role: "assistant", content: null, tool_calls: [toolCall] })
+        );
+      }
+    } else if (type === "function_call_output") {
+      if (!item.call_id) {
+        throw invalidRequestError(
+          "function_call_output items require call_id",
+          `${param}.call_id`
+        );
+      }
+      messages.push({
+        role: "tool",
+        tool_call_id: item.call_id,
+        content: convertResponsesContent(item.output, `${param}.output`)
+      });
+    } else if (type === "reasoning") {
+      // 只有摘要没法还原 thinking block；reasoning 在同一轮的正文之后时挂到前一条 assistant 消息上
+      if (!item.encrypted_content) return;
+      const prev = messages[messages.length - 1];
+      if (prev && prev.role === "assistant" && !prev.claude_thinking_state) {
+        prev.claude_thinking_state = item.encrypted_content;
+      } else {
+        pendingThinkingState = item.encrypted_content;
+      }
+    } else {
+      throw invalidRequestError(`Unsupported input item type: ${type}`, `${param}.type`);
+    }
+  });
+  return messages;
+}
+
+/**
+ * Responses 的扁平 function tool -> Chat Completions tool
+ */
+function convertResponsesTools(tools) {
+  if (tools === undefined || tools === null) return undefined;
+  if (!Array.isArray(tools)) throw invalidRequestError("tools must be an array", "tools");
+  return tools.map((t, i) => {
+    // Responses 的 web_search 工具：filters.allowed_domains、扁平的 user_location
+    if (t && (t.type === "web_search" || t.type === "web_search_preview")) {
+      return webSearchToolFromOptions({
+        max_uses: t.max_uses,
+        allowed_domains: (t.filters && t.filters.allowed_domains) || t.allowed_domains,
+        blocked_domains: t.blocked_domains,
+        user_location: t.user_location ? { approximate: t.user_location } : undefined
+      });
+    }
+    // Claude 服务端工具类型原样交给 chat 层
+    if (t && isServerToolType(t.type)) return t;
+    if (!t || t.type !== "function") {
+      throw invalidRequestError(
+        `Unsupported tool type: ${t && t.type}. Expected function, web_search or a Claude server tool type`,
+        `tools[${i}].type`
+      );
+    }
+    const tool = {
+      type: "function",
+      function: { name: t.name, description: t.description, parameters: t.parameters }
+    };
+    if (t.cache_control) tool.cache_control = t.cache_control;
+    return tool;
+  });
+}
+
+function convertResponsesToolChoice(toolChoice) {
+  if (toolChoice && typeof toolChoice === "object" && toolChoice.type === "function") {
+    return { type: "function", function: { name: toolChoice.name } };
+  }
+  return toolChoice;
+}
+
+/**
+ * text.format -> response_format
+ */
+function convertTextFormat(text) {
+  const format = text && text.format;
+  if (!format || format.type === "text") return undefined;
+  if (format.type === "json_schema") {
+    return {
+      type: "json_schema",
+      json_schema: {
+        name: format.name,
+        description: format.description,
+        schema: format.schema,
+        strict: format.strict
+      }
+    };
+  }
+  return format;
+}
+
+/**
+ * Responses 请求 -> Chat Completions 请求体
+ * previous_response_id 对应的历史 items 由调用方读出来传进来；instructions 只用本次的
+ * @param {Object} body Responses 请求体
+ * @param {Array<Object>} history 之前的 input + output items
+ * @param {Object} [options]
+ * @param {string} [options.paramMode] API key 上配置的参数模式
+ * @returns {{chatBody: Object, inputItems: Array<Object>, droppedParams: Array<string>}}
+ */
+function mapResponsesRequestToChat(body, history = [], { paramMode } = {}) {
+  const droppedParams = checkOpenAIParams(
+    body,
+    resolveParamMode(body.claude_param_mode, paramMode),
+    RESPONSES_PARAMS
+  );
+  const inputItems = normalizeResponsesInput(body.input);
+
+  const messages = [];
+  if (body.instructions) messages.push({ role: "system", content: body.instructions });
+  messages.push(...convertInputItems([...history, ...inputItems], history.length));
+
+  const effort = body.reasoning && body.reasoning.effort;
+  const chatBody = {
+    model: body.model,
+    messages,
+    stream: body.stream,
+    tools: convertResponsesTools(body.tools),
+    tool_choice: convertResponsesToolChoice(body.tool_choice),
+    parallel_tool_calls: body.parallel_tool_calls,
+    max_tokens: body.max_output_tokens,
+    temperature: body.temperature,
+    top_p: body.top_p,
+    top_k: body.top_k,
+    user: body.user,
+    // Claude 没有 minimal 档位，按 low 处理
+    reasoning_effort: effort === "minimal" ? "low" : effort,
+    response_format: convertTextFormat(body.text),
+    claude_thinking: body.claude_thinking,
+    claude_metadata: body.claude_metadata,
+    claude_prompt_cache: body.claude_prompt_cache,
+    claude_citations: body.claude_citations
+  };
+  for (const key of Object.keys(chatBody)) {
+    if (chatBody[key] === undefined) delete chatBody[key];
+  }
+  return { chatBody, inputItems, droppedParams };
+}
+
+/**
+ * response 对象里除 output / status / usage 之外的字段，按请求回显
+ */
+function buildResponseShell(body, model) {
+  return {
+    id: itemId("resp"),
+    object: "response",
+    created_at: Math.floor(Date.now() / 1000),
+    status: "in_progress",
+    error: null,
+    incomplete_details: null,
+    instructions: body.instructions ?? null,
+    max_output_tokens: body.max_output_tokens ?? null,
+    model,
+    output: [],
+    parallel_tool_calls: body.parallel_tool_calls ?? true,
+    previous_response_id: body.previous_response_id ?? null,
+    reasoning: {
+      effort: (body.reasoning && body.reasoning.effort) ?? null,
+      summary: (body.reasoning && body.reasoning.summary) ?? null
+    },
+    store: body.store !== false,
+    temperature: body.temperature ?? null,
+    text: body.text || { format: { type: "text" } },
+    tool_choice: body.tool_choice ?? "auto",
+    tools: body.tools || [],
+    top_p: body.top_p ?? null,
+    truncation: "disabled",
+    usage: null,
+    user: body.user ?? null,
+    metadata: body.metadata || {}
+  };
+}
+
+function reasoningItem(summaryText, thinkingState) {
+  const item = {
+    id: itemId("rs"),
+    type: "reasoning",
+    summary: summaryText ? [{ type: "summary_text", text: summaryText }] : []
+  };
+  if (thinkingState) item.encrypted_content = thinkingState;
+  return item;
+}
+
+/**
+ * chat 的 annotation（{type, [type]: {...}}）-> Responses 的 annotation（字段平铺到同一层）
+ * Responses 的 file_citation 必带 file_id 和 index（引用所在位置）：文件是内联传的，file_id 为 null，
+ * index 取被引用文字的结束位置，其余字段是网关扩展
+ */
+function toResponsesAnnotation(annotation) {
+  const fields = annotation[annotation.type];
+  if (annotation.type === "file_citation") {
+    return { type: annotation.type, file_id: null, index: fields.end_index, ...fields };
+  }
+  return { type: annotation.type, ...fields };
+}
+
+function messageItem(text, status = "completed", annotations = []) {
+  return {
+    id: itemId("msg"),
+    type: "message",
+    status,
+    role: "assistant",
+    content:
+      text === null
+        ? []
+        : [{ type: "output_text", text, annotations: annotations.map(toResponsesAnnotation) }]
+  };
+}
+
+function functionCallItem(toolCall, status = "completed") {
+  return {
+    id: itemId("fc"),
+    type: "function_call",
+    status,
+    call_id: toolCall.id,
+    name: toolCall.function.name,
+    arguments: toolCall.function.arguments || ""
+  };
+}
+
+/**
+ * chat usage -> Responses usage
+ */
+function toResponsesUsage(usage) {
+  if (!usage) return null;
+  return {
+    input_tokens: usage.prompt_tokens,
+    input_tokens_details: {
+      cached_tokens: (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) || 0
+    },
+    output_tokens: usage.completion_tokens,
+    output_tokens_details: { reasoning_tokens: 0 },
+    total_tokens: usage.total_tokens
+  };
+}
+
+/**
+ * 按 finish_reason 填 status / incomplete_details
+ */
+function completeResponse(response, finishReason, usage) {
+  response.usage = toResponsesUsage(usage);
+  if (finishReason === "length") {
+    response.status = "incomplete";
+    response.incomplete_details = { reason: "max_output_tokens" };
+  } else if (finishReason === "pause_turn") {
+    // 用 previous_response_id 再请求一次（input 为空）即可继续，见 mapStopReason
+    response.status = "incomplete";
+    response.incomplete_details = { reason: "pause_turn" };
+  } else {
+    response.status = "completed";
+  }
+  return response;
+}
+
+/**
+ * 非流式：chat.completion -> response 对象
+ * output 顺序：reasoning -> message -> function_call（和 Claude 的 block 顺序一致）
+ */
+function chatCompletionToResponse(oaiResp, shell) {
+  const choice = oaiResp.choices[0];
+  const message = choice.message;
+  const output = [];
+  if (message.reasoning_content || message.claude_thinking_state) {
+    output.push(reasoningItem(message.reasoning_content, message.claude_thinking_state));
+  }
+  if (message.content) {
+    output.push(messageItem(message.content, "completed", message.annotations));
+  }
+  for (const toolCall of message.tool_calls || []) {
+    output.push(functionCallItem(toolCall));
+  }
+  return completeResponse({ ...shell, output }, choice.finish_reason, oaiResp.usage);
+}
+
+/**
+ * 流式：接收 server.js 写出的 chat.completion.chunk，转成 Responses 的 typed SSE 事件
+ *   response.created / response.in_progress
+ *   response.output_item.added / done
+ *   response.reasoning_summary_part.added / response.reasoning_summary_text.delta / done
+ *   response.content_part.added / response.output_text.delta / done / response.content_part.done
+ *   response.output_text.annotation.added
+ *   response.function_call_arguments.delta / done
+ *   response.completed（或 response.incomplete / response.failed）
+ * 接口同 server.js 的 createChatChunkSink：write(chunk) / fail(err) / end()
+ * @param {import("express").Response} res
+ * @param {Object} shell buildResponseShell 的结果
+ * @param {Object} [options]
+ * @param {Function} [options.onComplete] 正常结束时回调最终的 response 对象（保存会话用）
+ */
+function createResponsesStreamSink(res, shell, { onComplete } = {}) {
+  const response = { ...shell, output: [] };
+  let sequence = 0;
+  let started = false;
+  // 当前正在输出的 item：{ item, outputIndex }
+  let current = null;
+  // chat tool_calls[].index -> { item, outputIndex }
+  const toolItems = new Map();
+  let finishReason = null;
+  let usage = null;
+  let thinkingState = null;
+
+  const emit = (type, data) => {
+    res.write(
+      `event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequence++, ...data })}\n\n`
+    );
+  };
+
+  const start = () => {
+    if (started) return;
+    started = true;
+    emit("response.created", { response });
+    emit("response.in_progress", { response });
+  };
+
+  const closeCurrent = () => {
+    if (!current) return;
+    const { item, outputIndex } = current;
+    const ref = { item_id: item.id, output_index: outputIndex };
+    if (item.type === "reasoning" && item.summary.length) {
+      const part = item.summary[0];
+      emit("response.reasoning_summary_text.done", { ...ref, summary_index: 0, text: part.text });
+      emit("response.reasoning_summary_part.done", { ...ref, summary_index: 0, part });
+    } else if (item.type === "message") {
+      const part = item.content[0];
+      emit("response.output_text.done", { ...ref, content_index: 0, text: part.text });
+      emit("response.content_part.done", { ...ref, content_index: 0, part });
+      item.status = "completed";
+    } else if (item.type === "function_call") {
+      emit("response.function_call_arguments.done", { ...ref, arguments: item.arguments });
+      item.status = "completed";
+    }
+    emit("response.output_item.done", { output_index: outputIndex, item });
+    current = null;
+  };
+
+  const open = (item) => {
+    closeCurrent();
+    current = { item, outputIndex: response.output.push(item) - 1 };
+    emit("response.output_item.added", { output_index: current.outputIndex, item });
+    return current;
+  };
+
+  const currentRef = () => ({ item_id: current.item.id, output_index: current.outputIndex });
+
+  return {
+    write(chunk) {
+      start();
+      if (chunk.usage) usage = chunk.usage;
+      const choice = chunk.choices && chunk.choices[0];
+      if (!choice) return;
+      const delta = choice.delta || {};
+
+      if (delta.reasoning_content) {
+        if (!current || current.item.type !== "reasoning") {
+          open(reasoningItem(null));
+          const part = { type: "summary_text", text: "" };
+          current.item.summary.push(part);
+          emit("response.reasoning_summary_part.added", { ...currentRef(), summary_index: 0, part });
+        }
+        current.item.summary[0].text += delta.reasoning_content;
+        emit("response.reasoning_summary_text.delta", {
+          ...currentRef(),
+          summary_index: 0,
+          delta: delta.reasoning_content
+        });
+      }
+      if (delta.content) {
+        if (!current || current.item.type !== "message") {
+          open(messageItem(null, "in_progress"));
+          const part = { type: "output_text", text: "", annotations: [] };
+          current.item.content.push(part);
+          emit("response.content_part.added", { ...currentRef(), content_index: 0, part });
+        }
+        current.item.content[0].text += delta.content;
+        emit("response.output_text.delta", { ...currentRef(), content_index: 0, delta: delta.content });
+      }
+      // annotations 紧跟在被引用的文字之后，这时当前 item 一定是 message
+      if (delta.annotations && current && current.item.type === "message") {
+        const part = current.item.content[0];
+        for (const annotation of delta.annotations) {
+          const converted = toResponsesAnnotation(annotation);
+          emit("response.output_text.annotation.added", {
+            ...currentRef(),
+            content_index: 0,
+            annotation_index: part.annotations.push(converted) - 1,
+            annotation: converted
+          });
+        }
+      }
+      for (const toolCall of delta.tool_calls || []) {
+        if (toolCall.id) {
+          const call = { ...toolCall, function: { ...toolCall.function, arguments: "" } };
+          toolItems.set(toolCall.index, open(functionCallItem(call, "in_progress")));
+        }
+        const target = toolItems.get(toolCall.index);
+        const args = toolCall.function && toolCall.function.arguments;
+        if (!target || !args) continue;
+        target.item.arguments += args;
+        emit("response.function_call_arguments.delta", {
+          item_id: target.item.id,
+          output_index: target.outputIndex,
+          delta: args
+        });
+      }
+      if (delta.claude_thinking_state) thinkingState = delta.claude_thinking_state;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+    },
+
+    fail(err) {
+      start();
+      closeCurrent();
+      response.status = "failed";
+      response.error = {
+        code: err.code || err.type || "server_error",
+        message: err.message || "Internal Server Error"
+      };
+      emit("response.failed", { response });
+      res.end();
+    },
+
+    end() {
+      start();
+      closeCurrent();
+      if (thinkingState) {
+        const reasoning = response.output.find((item) => item.type === "reasoning");
+        if (reasoning) {
+          reasoning.encrypted_content = thinkingState;
+        } else {
+          // 只有 redacted_thinking 或服务端工具 block 时没有可展示的推理内容，单独补一个 reasoning item
+          open(reasoningItem(null, thinkingState));
+          closeCurrent();
+        }
+      }
+      completeResponse(response, finishReason, usage);
+      if (onComplete) onComplete(response);
+      emit(response.status === "completed" ? "response.completed" : "response.incomplete", {
+        response
+      });
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  RESPONSES_PARAMS,
+  mapResponsesRequestToChat,
+  buildResponseShell,
+  chatCompletionToResponse,
+  createResponsesStreamSink
+};
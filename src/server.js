@@ -1,41 +1,202 @@
 // src/server.js
 
+const { AsyncResource } = require("async_hooks");
 const express = require("express");
 const cors = require("cors");
-const morgan = require("morgan");
 
 const { config, assertConfig } = require("./config");
 const { callClaudeMessages } = require("./vertexClient");
+const { checkCredentials, warmUpCredentials } = require("./credentials");
+const { inlineRemoteImages } = require("./media");
+const { createSSEParser } = require("./sse");
+const { mapCitationToAnnotation } = require("./citations");
+const { anthropicRouter, sendAnthropicError } = require("./anthropicRoutes");
+const { adminRouter } = require("./adminRoutes");
+const { batchRouter } = require("./batchRoutes");
+const { resumeBatches } = require("./batches");
+const {
+  hasApiKeys,
+  authenticateKey,
+  isModelAllowedForKey,
+  checkRateLimits
+} = require("./apiKeys");
+const { recordRequestUsage } = require("./usageStore");
+const { createUpstreamAbort, describeOutcome } = require("./requestAbort");
+const {
+  logger,
+  getRequestContext,
+  requestContextMiddleware
+} = require("./logger");
+const { metrics, trackActiveStream, renderMetrics } = require("./metrics");
+const {
+  resolveModelAlias,
+  getModelInfo,
+  listModels,
+  describeModel,
+  assertModelCapabilities
+} = require("./modelRegistry");
+const { callWithStructuredOutput } = require("./structuredOutput");
+const {
+  mapResponsesRequestToChat,
+  buildResponseShell,
+  chatCompletionToResponse,
+  createResponsesStreamSink
+} = require("./responsesAdapter");
+const {
+  saveStoredResponse,
+  getStoredResponse,
+  deleteStoredResponse
+} = require("./responseStore");
+const {
+  mapCompletionsRequestToChat,
+  buildCompletionShell,
+  chatCompletionsToTextCompletion,
+  createCompletionsStreamSink
+} = require("./completionsAdapter");
+const {
+  responseCacheKey,
+  shouldUseResponseCache,
+  getCachedResponse,
+  setCachedResponse,
+  createMessageAccumulator
+} = require("./responseCache");
+const {
+  createApiError,
+  invalidRequestError,
+  mapUpstreamError,
+  toOpenAIErrorPayload,
+  sendOpenAIError
+} = require("./errors");
 const {
   mapOpenAIRequestToClaude,
-  mapClaudeResponseToOpenAI
+  mapClaudeResponseToOpenAI,
+  mapStopReason,
+  mergeClaudeUsage,
+  mapClaudeUsageToOpenAI,
+  buildThinkingState
 } = require("./openaiAdapter");
 
 assertConfig();
+// 回放模式不访问 Vertex，不检查凭证
+if (config.upstream.mode !== "replay") checkCredentials();
 
 const app = express();
 app.use(cors());
+app.use((req, _res, next) => {
+  req.startedAt = Date.now();
+  next();
+});
+// 放在 express.json 之前，请求体解析失败的请求也有 request id 和访问日志
+app.use(requestContextMiddleware);
+
+// 访问日志 + 请求计数；路由里通过 res.locals.model / res.locals.stream 补充标签
+// 客户端提前断开时只有 close 没有 finish，两个事件都听，只记一次；还没写响应头就断开的按 499 记
+app.use((req, res, next) => {
+  let logged = false;
+  // close 可能在请求的日志上下文之外触发，绑定到当前上下文才能带上 request_id
+  const onDone = AsyncResource.bind(() => {
+    if (logged) return;
+    logged = true;
+    const endpoint = req.route ? req.baseUrl + req.route.path : "unmatched";
+    const { model, stream } = res.locals;
+    const completed = res.writableFinished;
+    const status = completed || res.headersSent ? res.statusCode : 499;
+    metrics.requests.inc({
+      endpoint,
+      model: model || "",
+      status,
+      stream: !!stream
+    });
+    logger.info("request", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status,
+      duration_ms: Date.now() - req.startedAt,
+      model,
+      stream,
+      key: req.apiKey ? req.apiKey.name : undefined,
+      aborted: completed ? undefined : true
+    });
+  });
+  res.once("finish", onDone);
+  res.once("close", onDone);
+  next();
+});
+
 app.use(express.json({ limit: "10mb" }));
-app.use(morgan("tiny"));
 
-// 可选：在 /v1 下面做一个简单的 API Key 保护
+/**
+ * /v1 下的鉴权错误：Anthropic 原生路由用 Anthropic 格式，其余用 OpenAI 格式
+ */
+function sendGatewayError(req, res, err) {
+  if (req.path.startsWith("/messages")) {
+    return sendAnthropicError(
+      res,
+      err.status,
+      err.message,
+      err.status === 429 ? "rate_limit_error" : undefined
+    );
+  }
+  return sendOpenAIError(res, err);
+}
+
+// 可选：在 /v1 下面做 API Key 保护（PROXY_API_KEY 或 apiKeys.js 里的多 key）
+// 同时接受 OpenAI 风格的 Authorization: Bearer 和 Anthropic 风格的 x-api-key
 app.use("/v1", (req, res, next) => {
-  if (!config.proxyApiKey) return next();
+  if (!hasApiKeys()) return next();
   const authHeader = req.headers.authorization || "";
   const token = authHeader.startsWith("Bearer ")
     ? authHeader.slice("Bearer ".length)
-    : null;
-  if (!token || token !== config.proxyApiKey) {
-    return res.status(401).json({
-      error: {
-        message: "Invalid API key",
-        type: "invalid_request_error"
-      }
-    });
+    : req.headers["x-api-key"] || null;
+  const apiKey = authenticateKey(token);
+  if (!apiKey) {
+    return sendGatewayError(
+      req,
+      res,
+      createApiError(401, "Invalid API key", { code: "invalid_api_key" })
+    );
+  }
+
+  const limit = checkRateLimits(apiKey);
+  for (const [name, value] of Object.entries(limit.headers)) {
+    res.setHeader(name, value);
   }
+  if (!limit.ok) {
+    if (limit.retryAfter) res.setHeader("Retry-After", String(limit.retryAfter));
+    return sendGatewayError(
+      req,
+      res,
+      createApiError(limit.status, limit.message, {
+        type: limit.type,
+        code: limit.code
+      })
+    );
+  }
+
+  req.apiKey = apiKey;
   next();
 });
 
+// Anthropic 原生协议：/v1/messages、/v1/messages/count_tokens
+app.use("/v1", anthropicRouter);
+
+// OpenAI Files / Batch API：/v1/files、/v1/batches
+app.use("/v1", batchRouter);
+
+// 管理接口：/admin/keys
+app.use("/admin", adminRouter);
+
+// Prometheus 指标；配置了 METRICS_API_KEY 时需要 Bearer 鉴权
+app.get("/metrics", (req, res) => {
+  if (
+    config.metricsApiKey &&
+    req.headers.authorization !== `Bearer ${config.metricsApiKey}`
+  ) {
+    return res.status(401).type("text/plain").send("Unauthorized\n");
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
 app.get("/", (_req, res) => {
   res.json({
     status: "ok",
@@ -44,230 +205,781 @@ app.get("/", (_req, res) => {
   });
 });
 
-// 简单模型列表：直接用配置里的 allowedModels，不从 GCP 动态读取
+// 模型列表：allowedModels + 注册表里的元数据（上下文长度、能力、别名等），不从 GCP 动态读取
 app.get("/v1/models", (_req, res) => {
-  const now = Math.floor(Date.now() / 1000);
-  const data = config.allowedModels.map((id) => ({
-    id,
-    object: "model",
-    created: now,
-    owned_by: "vertex-ai.anthropic"
-  }));
   res.json({
     object: "list",
-    data
+    data: listModels().map(describeModel)
   });
 });
 
+// 单个模型，支持用别名查询
+app.get("/v1/models/:id(*)", (req, res) => {
+  const id = resolveModelAlias(req.params.id);
+  if (!config.allowedModels.includes(id)) {
+    return sendOpenAIError(
+      res,
+      createApiError(404, `The model '${req.params.id}' does not exist`, {
+        param: "model",
+        code: "model_not_found"
+      })
+    );
+  }
+  res.json(describeModel(getModelInfo(id)));
+});
+
+/**
+ * chat / responses / completions 共用的请求准备：解析模型别名、合并注册表默认参数、检查模型权限，
+ * 转换成 Claude 请求并下载远程图片
+ * @param {Object} rawBody Chat Completions 格式的请求体
+ * @param {Object} [options]
+ * @param {Array<string>} [options.droppedParams] 调用方已经丢弃的参数，一起写进 x-gateway-warning
+ * @returns {Promise<{model: string, body: Object, claudeReq: Object}>}
+ */
+async function prepareClaudeRequest(req, res, rawBody, { droppedParams = [] } = {}) {
+  const model = resolveModelAlias(rawBody.model || config.defaultModel);
+  // 注册表里的按模型默认参数，客户端传了的以客户端为准
+  const body = { ...getModelInfo(model).defaults, ...rawBody };
+  res.locals.stream = !!body.stream;
+
+  if (!config.allowedModels.includes(model)) {
+    throw invalidRequestError(`Model ${model} is not in allowed list`);
+  }
+
+  if (!isModelAllowedForKey(req.apiKey, model)) {
+    throw createApiError(403, `This API key is not allowed to use model ${model}`, {
+      param: "model",
+      code: "model_not_allowed"
+    });
+  }
+  // 校验通过后才作为指标标签，客户端随便写的模型名不能进 Prometheus 标签
+  res.locals.model = model;
+
+  const claudeReq = mapOpenAIRequestToClaude(body, model, {
+    paramMode: req.apiKey && req.apiKey.paramMode
+  });
+  assertModelCapabilities(model, claudeReq);
+  const dropped = [...droppedParams, ...(claudeReq.droppedParams || [])];
+  if (dropped.length) {
+    res.setHeader(
+      "x-gateway-warning",
+      `Unsupported parameters were ignored: ${dropped.join(", ")}`
+    );
+  }
+  await inlineRemoteImages(claudeReq.messages);
+  return { model, body, claudeReq };
+}
+
+/**
+ * 一个 HTTP 请求里要调用多次上游时（/v1/completions 的 prompt 数组），后面每次再占用一次 key 的额度
+ */
+function assertWithinRateLimits(apiKey) {
+  if (!apiKey) return;
+  const limit = checkRateLimits(apiKey);
+  if (limit.ok) return;
+  const err = createApiError(limit.status, limit.message, {
+    type: limit.type,
+    code: limit.code
+  });
+  if (limit.retryAfter) err.retryAfter = limit.retryAfter;
+  throw err;
+}
+
 // 核心：Chat Completions
 app.post("/v1/chat/completions", async (req, res) => {
+  // 客户端断开 / 总超时时取消上游请求
+  const upstreamAbort = createUpstreamAbort(res);
   try {
-    const body = req.body || {};
+    const { model, body, claudeReq } = await prepareClaudeRequest(req, res, req.body || {});
     const stream = !!body.stream;
-    const model = body.model || config.defaultModel;
 
-    if (!config.allowedModels.includes(model)) {
-      return res.status(400).json({
-        error: {
-          message: `Model ${model} is not in allowed list`,
-          type: "invalid_request_error"
+    const includeUsage = !!(
+      body.stream_options && body.stream_options.include_usage
+    );
+    const responseFormat = claudeReq.responseFormat;
+    // strict json_schema 需要拿到完整输出校验（可能重试），流式时先走非流式再按 chunk 回放
+    const needsValidation =
+      responseFormat && responseFormat.type === "json_schema" && responseFormat.strict;
+
+    // 响应缓存：命中时直接用缓存的 Claude message，不请求上游，也不计用量
+    const cacheKey = shouldUseResponseCache(req, claudeReq, body.claude_response_cache)
+      ? responseCacheKey(model, claudeReq)
+      : null;
+    if (cacheKey) {
+      const cached = await getCachedResponse(cacheKey);
+      res.setHeader("x-cache", cached ? "HIT" : "MISS");
+      if (cached) {
+        const oaiResp = mapClaudeResponseToOpenAI(cached, model, { responseFormat });
+        if (stream) {
+          return writeCompletionAsStream(res, oaiResp, { includeUsage });
         }
+        return res.json(oaiResp);
+      }
+    }
+
+    if (stream && !needsValidation) {
+      return await streamChatCompletion(model, claudeReq, res, {
+        includeUsage,
+        signal: upstreamAbort.signal,
+        onMessage: cacheKey && ((message) => setCachedResponse(cacheKey, message)),
+        onUsage: (usage) =>
+          recordRequestUsage(req, {
+            model,
+            usage,
+            endpoint: "chat.completions",
+            stream: true,
+            user: body.user
+          })
       });
     }
 
-    const claudeReq = mapOpenAIRequestToClaude(body);
+    // 非流式
+    const vertexResp = await callWithStructuredOutput(claudeReq, (request) =>
+      callClaudeMessages({
+        ...request,
+        model,
+        stream: false,
+        signal: upstreamAbort.signal
+      })
+    );
+    if (cacheKey) await setCachedResponse(cacheKey, vertexResp);
+    recordRequestUsage(req, {
+      model,
+      usage: vertexResp.usage,
+      endpoint: "chat.completions",
+      stream,
+      user: body.user
+    });
 
+    const oaiResp = mapClaudeResponseToOpenAI(vertexResp, model, {
+      responseFormat
+    });
     if (stream) {
-      // 当前实现：只对纯文本对话做流式（无 tools 时）
-      const hasTools = Array.isArray(claudeReq.tools) && claudeReq.tools.length;
-      if (hasTools) {
-        // 带 tools 的场景建议先用非流式，避免多一层复杂度
-        // 你以后如果想要完全还原工具流式，也可以在这里扩展
-        res.setHeader("Content-Type", "application/json");
-        return res.status(400).json({
-          error: {
-            message:
-              "Streaming with tools is not supported yet in this gateway. Please call without stream or without tools.",
-            type: "invalid_request_error"
-          }
-        });
+      return writeCompletionAsStream(res, oaiResp, { includeUsage });
+    }
+    res.json(oaiResp);
+  } catch (err) {
+    if (err.cancelled) {
+      // 客户端已经断开，不用再写响应
+      logger.warn("chat completion cancelled", { outcome: describeOutcome(err) });
+      return;
+    }
+    logger.error("chat completion failed", { outcome: describeOutcome(err), err });
+    sendOpenAIError(res, err);
+  } finally {
+    upstreamAbort.cleanup();
+  }
+});
+
+// OpenAI Responses API：input items 转成 chat 请求后复用同一条链路，见 responsesAdapter.js
+app.post("/v1/responses", async (req, res) => {
+  const upstreamAbort = createUpstreamAbort(res);
+  try {
+    const rawBody = req.body || {};
+    const keyId = req.apiKey ? req.apiKey.id : null;
+    let history = [];
+    if (rawBody.previous_response_id) {
+      const previous = getStoredResponse(rawBody.previous_response_id, keyId);
+      if (!previous) {
+        throw createApiError(
+          404,
+          `Previous response with id '${rawBody.previous_response_id}' not found.`,
+          { param: "previous_response_id", code: "previous_response_not_found" }
+        );
       }
-      return streamChatCompletion(model, claudeReq, res);
+      history = previous.items;
     }
 
-    // 非流式
-    const vertexResp = await callClaudeMessages({
-      ...claudeReq,
+    const { chatBody, inputItems, droppedParams } = mapResponsesRequestToChat(
+      rawBody,
+      history,
+      { paramMode: req.apiKey && req.apiKey.paramMode }
+    );
+    const { model, body, claudeReq } = await prepareClaudeRequest(req, res, chatBody, {
+      droppedParams
+    });
+    const stream = !!body.stream;
+    const shell = buildResponseShell(rawBody, model);
+    // store: false 时不保存，之后也不能作为 previous_response_id
+    const onComplete = (response) => {
+      if (!response.store) return;
+      saveStoredResponse({
+        response,
+        items: [...history, ...inputItems, ...response.output],
+        keyId
+      });
+    };
+    const responseFormat = claudeReq.responseFormat;
+    const needsValidation =
+      responseFormat && responseFormat.type === "json_schema" && responseFormat.strict;
+
+    if (stream && !needsValidation) {
+      return await streamChatCompletion(model, claudeReq, res, {
+        includeUsage: true,
+        signal: upstreamAbort.signal,
+        endpoint: "responses",
+        sink: createResponsesStreamSink(res, shell, { onComplete }),
+        onUsage: (usage) =>
+          recordRequestUsage(req, {
+            model,
+            usage,
+            endpoint: "responses",
+            stream: true,
+            user: body.user
+          })
+      });
+    }
+
+    const vertexResp = await callWithStructuredOutput(claudeReq, (request) =>
+      callClaudeMessages({
+        ...request,
+        model,
+        stream: false,
+        signal: upstreamAbort.signal
+      })
+    );
+    recordRequestUsage(req, {
       model,
-      stream: false
+      usage: vertexResp.usage,
+      endpoint: "responses",
+      stream,
+      user: body.user
     });
 
-    const oaiResp = mapClaudeResponseToOpenAI(vertexResp, model);
-    res.json(oaiResp);
+    const oaiResp = mapClaudeResponseToOpenAI(vertexResp, model, { responseFormat });
+    if (stream) {
+      return writeCompletionAsStream(res, oaiResp, {
+        includeUsage: true,
+        sink: createResponsesStreamSink(res, shell, { onComplete })
+      });
+    }
+    const response = chatCompletionToResponse(oaiResp, shell);
+    onComplete(response);
+    res.json(response);
   } catch (err) {
-    console.error("[/v1/chat/completions] error:", err);
-    const status = err.status || 500;
-    res.status(status).json({
-      error: {
-        message: err.message || "Internal Server Error",
-        type: "internal_error"
+    if (err.cancelled) {
+      logger.warn("response cancelled", { outcome: describeOutcome(err) });
+      return;
+    }
+    logger.error("response failed", { outcome: describeOutcome(err), err });
+    sendOpenAIError(res, err);
+  } finally {
+    upstreamAbort.cleanup();
+  }
+});
+
+app.get("/v1/responses/:id", (req, res) => {
+  const record = getStoredResponse(req.params.id, req.apiKey ? req.apiKey.id : null);
+  if (!record) {
+    return sendOpenAIError(
+      res,
+      createApiError(404, `Response with id '${req.params.id}' not found.`)
+    );
+  }
+  res.json(record.response);
+});
+
+app.delete("/v1/responses/:id", (req, res) => {
+  const record = deleteStoredResponse(req.params.id, req.apiKey ? req.apiKey.id : null);
+  if (!record) {
+    return sendOpenAIError(
+      res,
+      createApiError(404, `Response with id '${req.params.id}' not found.`)
+    );
+  }
+  res.json({ id: req.params.id, object: "response", deleted: true });
+});
+
+// 旧版 Completions：prompt 转成 chat 请求后复用同一条链路，见 completionsAdapter.js
+app.post("/v1/completions", async (req, res) => {
+  const upstreamAbort = createUpstreamAbort(res);
+  try {
+    const { chatBodies, echoTexts, droppedParams } = mapCompletionsRequestToChat(
+      req.body || {},
+      { paramMode: req.apiKey && req.apiKey.paramMode }
+    );
+    const prepared = [];
+    for (const chatBody of chatBodies) {
+      prepared.push(await prepareClaudeRequest(req, res, chatBody, { droppedParams }));
+    }
+    const { model, body } = prepared[0];
+    const shell = buildCompletionShell(model);
+
+    if (body.stream) {
+      return await streamChatCompletion(model, prepared[0].claudeReq, res, {
+        includeUsage: !!(body.stream_options && body.stream_options.include_usage),
+        signal: upstreamAbort.signal,
+        endpoint: "completions",
+        sink: createCompletionsStreamSink(res, shell, { echoText: echoTexts[0] }),
+        onUsage: (usage) =>
+          recordRequestUsage(req, {
+            model,
+            usage,
+            endpoint: "completions",
+            stream: true,
+            user: body.user
+          })
+      });
+    }
+
+    // prompt 是数组时每个 prompt 单独请求上游（最多 BATCH_CONCURRENCY 个并发），结果按下标合并成多个 choice
+    // 任何一个失败就取消其余的上游请求，整个请求按这个错误返回
+    const poolAbort = new AbortController();
+    const signal = AbortSignal.any([upstreamAbort.signal, poolAbort.signal]);
+    const oaiResps = new Array(prepared.length);
+    let next = 0;
+    let failure = null;
+    const worker = async () => {
+      while (next < prepared.length && !failure) {
+        const index = next++;
+        try {
+          // 每个 prompt 都计入 key 的限流，第一个已经在 /v1 鉴权时计过
+          if (index > 0) assertWithinRateLimits(req.apiKey);
+          const vertexResp = await callClaudeMessages({
+            ...prepared[index].claudeReq,
+            model,
+            stream: false,
+            signal
+          });
+          recordRequestUsage(req, {
+            model,
+            usage: vertexResp.usage,
+            endpoint: "completions",
+            stream: false,
+            user: body.user
+          });
+          oaiResps[index] = mapClaudeResponseToOpenAI(vertexResp, model);
+        } catch (err) {
+          if (!failure) {
+            failure = err;
+            poolAbort.abort(err);
+          }
+        }
       }
-    });
+    };
+    const workers = Math.min(Math.max(config.batch.concurrency, 1), prepared.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+    if (failure) throw failure;
+    res.json(chatCompletionsToTextCompletion(oaiResps, shell, echoTexts));
+  } catch (err) {
+    if (err.cancelled) {
+      logger.warn("completion cancelled", { outcome: describeOutcome(err) });
+      return;
+    }
+    logger.error("completion failed", { outcome: describeOutcome(err), err });
+    sendOpenAIError(res, err);
+  } finally {
+    upstreamAbort.cleanup();
   }
 });
 
 /**
  * 将 Claude 的 SSE 流转换为 OpenAI chat.completion.chunk 流
- * 只处理 text_delta，忽略 thinking / 工具调用的增量事件
+ * - text_delta -> delta.content
+ * - thinking_delta -> delta.reasoning_content
+ * - tool_use (content_block_start + input_json_delta) -> delta.tool_calls[]
+ * - citations_delta -> text block 结束时下发一次 delta.annotations（这时才知道 end_index）
+ * - server_tool_use / web_search_tool_result 等服务端工具 block 不下发
+ * thinking / redacted_thinking block（含 signature）和服务端工具 block 会在流结束前拼好，
+ * 编码成 delta.claude_thinking_state 下发，供多轮对话时回传
+ * 上游请求本身失败时还没写响应头，按普通 JSON 错误返回（状态码、Retry-After 都正确）；
+ * 上游超过 sseKeepaliveMs 还没响应时会先写出响应头开始保活，之后的失败按流中途出错处理；
+ * 流中途出错（包括 Claude 的 error 事件）下发 OpenAI 的 {error: {...}} 事件后结束
+ * 上游长时间没有输出（比如 thinking 阶段）时定期发 SSE 注释行，避免被中间代理当成空闲连接断开
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUsage] 对应 stream_options.include_usage，结束前多发一个只带 usage 的 chunk
+ * @param {Function} [options.onUsage] 流结束时回调一次累计的 Claude usage
+ * @param {AbortSignal} [options.signal] 客户端断开 / 总超时时取消上游，见 requestAbort.js
+ * @param {Function} [options.onMessage] 流正常结束时回调拼好的 Claude message（写响应缓存用）
+ * @param {Object} [options.sink] chunk 的输出方式，默认 chat.completion.chunk 流，见 createChatChunkSink
+ * @param {string} [options.endpoint] 指标里的 endpoint 标签
  */
-async function streamChatCompletion(model, claudeReq, res) {
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  // 部分 Node 环境有 flushHeaders
-  if (typeof res.flushHeaders === "function") {
-    res.flushHeaders();
-  }
-
+async function streamChatCompletion(
+  model,
+  claudeReq,
+  res,
+  {
+    includeUsage = false,
+    onUsage,
+    signal,
+    onMessage,
+    sink = createChatChunkSink(res),
+    endpoint = "chat.completions"
+  } = {}
+) {
   const id = `chatcmpl-${Date.now()}`;
   let firstChunk = true;
   let closed = false;
+  let stopReason = null;
+  const responseFormat = claudeReq.responseFormat;
+  // json_schema 合成工具所在的 content block index，它的入参按 delta.content 下发
+  let structuredBlockIndex = null;
+  // Claude content block index -> OpenAI tool_calls[].index
+  const toolCallIndexByBlock = new Map();
+  const toolCallIds = [];
+  // 已经收到过 input_json_delta 的 tool_calls[].index，没收到的在 block 结束时补发 "{}"
+  const toolCallsWithArguments = new Set();
+  // 已下发的 delta.content 总长度，annotation 的 start_index / end_index 按它计算
+  let contentLength = 0;
+  // Claude content block index -> { start, citations }，带引用的 text block
+  const citedBlocks = new Map();
+  const usage = {};
+  // 拼出完整的 Claude message：写响应缓存，以及结束时取出要回传的 thinking / 服务端工具 block
+  const accumulator = createMessageAccumulator();
+  const ctx = getRequestContext();
+  const startedAt = ctx ? ctx.startedAt : Date.now();
+  let sawFirstToken = false;
 
-  try {
-    const upstreamRes = await callClaudeMessages({
-      ...claudeReq,
+  // 每次写出数据都重新计时，上游沉默超过 sseKeepaliveMs 就补一个注释行
+  let keepaliveTimer = null;
+  const touch = () => {
+    clearTimeout(keepaliveTimer);
+    if (closed || !(config.sseKeepaliveMs > 0)) return;
+    keepaliveTimer = setTimeout(() => {
+      if (closed) return;
+      res.write(": keepalive\n\n");
+      touch();
+    }, config.sseKeepaliveMs);
+  };
+
+  const writeChunk = (delta, finishReason = null) => {
+    const chunkPayload = {
+      id,
+      object: "chat.completion.chunk",
+      created: Math.floor(Date.now() / 1000),
       model,
-      stream: true
-    });
+      choices: [
+        {
+          index: 0,
+          delta: {
+            ...(firstChunk && finishReason === null
+              ? { role: "assistant" }
+              : {}),
+            ...delta
+          },
+          finish_reason: finishReason
+        }
+      ]
+    };
+    if (finishReason === null) firstChunk = false;
+    if (delta.content) contentLength += delta.content.length;
+    if (!sawFirstToken && (delta.content || delta.reasoning_content || delta.tool_calls)) {
+      sawFirstToken = true;
+      metrics.timeToFirstToken.observe(
+        { endpoint, model },
+        (Date.now() - startedAt) / 1000
+      );
+    }
+    sink.write(chunkPayload);
+    touch();
+  };
 
-    const decoder = new TextDecoder();
-    let buffer = "";
+  const finish = (finishReason) => {
+    if (onUsage) onUsage(usage);
+    if (onMessage) onMessage(accumulator.message());
+    // 不用 message()：某个工具参数没拼完整时它返回 null，thinking / 服务端工具 block 也会跟着丢
+    const thinkingState = buildThinkingState(accumulator.contentBlocks(), toolCallIds);
+    if (thinkingState) {
+      writeChunk({ claude_thinking_state: thinkingState });
+    }
+    writeChunk({}, finishReason);
+    if (includeUsage) {
+      const usageChunk = {
+        id,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [],
+        usage: mapClaudeUsageToOpenAI(usage) || null
+      };
+      sink.write(usageChunk);
+    }
+    closed = true;
+    clearTimeout(keepaliveTimer);
+    sink.end();
+  };
 
-    for await (const chunk of upstreamRes.body) {
-      const text = decoder.decode(chunk, { stream: true });
-      buffer += text;
-
-      // SSE 事件以 \n\n 分隔 :contentReference[oaicite:10]{index=10}
-      let idx;
-      while ((idx = buffer.indexOf("\n\n")) !== -1) {
-        const rawEvent = buffer.slice(0, idx);
-        buffer = buffer.slice(idx + 2);
-
-        const lines = rawEvent
-          .split("\n")
-          .map((l) => l.trim())
-          .filter(Boolean);
+  // 流中途出错：已经产生的用量照常记账，然后下发 error 事件并结束
+  const fail = (err) => {
+    if (onUsage) onUsage(usage);
+    closed = true;
+    clearTimeout(keepaliveTimer);
+    sink.fail(mapUpstreamError(err));
+  };
 
-        if (!lines.length) continue;
+  // 有工具调用时，即便上游没给 stop_reason 也按 tool_calls 结束
+  // 只调用了 json_schema 合成工具时按正常结束处理
+  const resolveFinishReason = () => {
+    if (!toolCallIndexByBlock.size) {
+      return stopReason === "tool_use" ? "stop" : mapStopReason(stopReason) || "stop";
+    }
+    return mapStopReason(stopReason) || "tool_calls";
+  };
 
-        // Anthropic SSE 一般有 event: xxx + data: {...}，我们只看 data 行 :contentReference[oaicite:11]{index=11}
-        const dataLine = lines.find((l) => l.startsWith("data:"));
-        if (!dataLine) continue;
-        const jsonStr = dataLine.slice("data:".length).trim();
-        if (!jsonStr || jsonStr === "[DONE]") continue;
+  let streamStarted = false;
+  const startStream = () => {
+    if (streamStarted) return;
+    streamStarted = true;
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    // 部分 Node 环境有 flushHeaders
+    if (typeof res.flushHeaders === "function") {
+      res.flushHeaders();
+    }
+    trackActiveStream(res, endpoint);
+    touch();
+  };
+  // 上游迟迟没有响应（重试、故障转移）时先写出响应头开始保活，避免被中间代理断开
+  const earlyStartTimer =
+    config.sseKeepaliveMs > 0 ? setTimeout(startStream, config.sseKeepaliveMs) : null;
 
-        let event;
-        try {
-          event = JSON.parse(jsonStr);
-        } catch {
-          continue;
-        }
+  let upstreamRes;
+  try {
+    upstreamRes = await callClaudeMessages({
+      ...claudeReq,
+      model,
+      stream: true,
+      signal
+    });
+  } catch (err) {
+    clearTimeout(earlyStartTimer);
+    if (err.cancelled) {
+      logger.warn("stream cancelled before upstream responded", {
+        outcome: describeOutcome(err)
+      });
+      closed = true;
+      clearTimeout(keepaliveTimer);
+      if (streamStarted) res.end();
+      return;
+    }
+    logger.error("stream failed before upstream responded", {
+      outcome: describeOutcome(err),
+      err
+    });
+    // 响应头已经写出去了，只能按流中途出错处理
+    if (streamStarted) return fail(err);
+    return sendOpenAIError(res, err);
+  }
+  clearTimeout(earlyStartTimer);
+  startStream();
 
-        // 只处理文本增量
-        if (
-          event.type === "content_block_delta" &&
-          event.delta &&
-          event.delta.type === "text_delta"
-        ) {
-          const deltaText = event.delta.text || "";
-          if (!deltaText) continue;
+  try {
+    // json_object 的预填内容不会出现在上游流里，先补发给客户端
+    if (responseFormat && responseFormat.prefill) {
+      writeChunk({ content: responseFormat.prefill });
+    }
 
-          const chunkPayload = {
-            id,
-            object: "chat.completion.chunk",
-            created: Math.floor(Date.now() / 1000),
-            model,
-            choices: [
-              {
-                index: 0,
-                delta: {
-                  ...(firstChunk ? { role: "assistant" } : {}),
-                  content: deltaText
-                },
-                finish_reason: null
+    const parser = createSSEParser((event) => {
+      if (closed) return;
+      accumulator.push(event);
+      if (event.type === "message_start" && event.message) {
+        mergeClaudeUsage(usage, event.message.usage);
+      } else if (
+        event.type === "content_block_start" &&
+        event.content_block &&
+        event.content_block.type === "tool_use" &&
+        responseFormat &&
+        event.content_block.name === responseFormat.toolName
+      ) {
+        structuredBlockIndex = event.index;
+      } else if (
+        event.type === "content_block_start" &&
+        event.content_block &&
+        event.content_block.type === "tool_use"
+      ) {
+        // 新的工具调用：首个 chunk 带上 id / name，arguments 之后增量下发
+        const toolIndex = toolCallIndexByBlock.size;
+        toolCallIndexByBlock.set(event.index, toolIndex);
+        const block = event.content_block;
+        toolCallIds.push(block.id || `call_${toolIndex}`);
+        writeChunk({
+          tool_calls: [
+            {
+              index: toolIndex,
+              id: block.id || `call_${toolIndex}`,
+              type: "function",
+              function: {
+                name: block.name,
+                arguments: ""
               }
-            ]
-          };
-          firstChunk = false;
-          res.write(`data: ${JSON.stringify(chunkPayload)}\n\n`);
-        } else if (event.type === "message_stop") {
-          // Claude 流结束标志，我们转成一次 stop chunk + [DONE]
-          const stopChunk = {
-            id,
-            object: "chat.completion.chunk",
-            created: Math.floor(Date.now() / 1000),
-            model,
-            choices: [
+            }
+          ]
+        });
+      } else if (
+        event.type === "content_block_start" &&
+        event.content_block &&
+        event.content_block.type === "text"
+      ) {
+        citedBlocks.set(event.index, { start: contentLength, citations: [] });
+      } else if (event.type === "content_block_stop") {
+        const toolIndex = toolCallIndexByBlock.get(event.index);
+        if (toolIndex !== undefined && !toolCallsWithArguments.has(toolIndex)) {
+          // 无参数的工具调用：和非流式一样给 "{}"，客户端拼出来的 arguments 才能 JSON.parse
+          writeChunk({ tool_calls: [{ index: toolIndex, function: { arguments: "{}" } }] });
+          return;
+        }
+        const cited = citedBlocks.get(event.index);
+        if (!cited || !cited.citations.length) return;
+        const annotations = cited.citations
+          .map((citation) => mapCitationToAnnotation(citation, cited.start, contentLength))
+          .filter(Boolean);
+        if (annotations.length) writeChunk({ annotations });
+      } else if (event.type === "content_block_delta" && event.delta) {
+        if (event.delta.type === "citations_delta") {
+          const cited = citedBlocks.get(event.index);
+          if (cited && event.delta.citation) cited.citations.push(event.delta.citation);
+        } else if (event.delta.type === "text_delta") {
+          const deltaText = event.delta.text || "";
+          if (!deltaText) return;
+          writeChunk({ content: deltaText });
+        } else if (event.delta.type === "thinking_delta") {
+          const deltaThinking = event.delta.thinking || "";
+          if (!deltaThinking) return;
+          writeChunk({ reasoning_content: deltaThinking });
+        } else if (event.delta.type === "input_json_delta") {
+          const toolIndex = toolCallIndexByBlock.get(event.index);
+          const partial = event.delta.partial_json || "";
+          if (!partial) return;
+          if (event.index === structuredBlockIndex) {
+            writeChunk({ content: partial });
+            return;
+          }
+          if (toolIndex === undefined) return;
+          toolCallsWithArguments.add(toolIndex);
+          writeChunk({
+            tool_calls: [
               {
-                index: 0,
-                delta: {},
-                finish_reason: "stop"
+                index: toolIndex,
+                function: { arguments: partial }
               }
             ]
-          };
-          res.write(`data: ${JSON.stringify(stopChunk)}\n\n`);
-          res.write("data: [DONE]\n\n");
-          closed = true;
-          res.end();
+          });
+        }
+      } else if (event.type === "message_delta") {
+        mergeClaudeUsage(usage, event.usage);
+        if (event.delta && event.delta.stop_reason) {
+          stopReason = event.delta.stop_reason;
         }
+      } else if (event.type === "error" && event.error) {
+        // 流中途的 Claude 错误事件（比如 overloaded_error），按上游错误映射
+        const err = new Error(event.error.message || "Upstream stream error");
+        err.upstream = true;
+        err.status = 500;
+        err.body = JSON.stringify(event);
+        fail(err);
+      } else if (event.type === "message_stop") {
+        // Claude 流结束标志，我们转成一次 finish chunk + [DONE]
+        finish(resolveFinishReason());
       }
+    });
+
+    for await (const chunk of upstreamRes.body) {
+      if (closed) break;
+      parser.push(chunk);
     }
   } catch (err) {
-    console.error("[streamChatCompletion] error:", err);
-    if (!closed) {
-      const errorChunk = {
-        id,
-        object: "chat.completion.chunk",
-        created: Math.floor(Date.now() / 1000),
-        model,
-        choices: [
-          {
-            index: 0,
-            delta: {},
-            finish_reason: "error"
-          }
-        ]
-      };
-      res.write(`data: ${JSON.stringify(errorChunk)}\n\n`);
-      res.write("data: [DONE]\n\n");
-      res.end();
+    if (err.cancelled) {
+      // 客户端断开：上游已被取消，已经产生的用量照常记账
+      closed = true;
+      clearTimeout(keepaliveTimer);
+      if (onUsage) onUsage(usage);
+      logger.warn("stream cancelled, upstream aborted", {
+        outcome: describeOutcome(err)
+      });
+      return;
     }
+    logger.error("stream failed", { outcome: describeOutcome(err), err });
+    if (!closed) fail(err);
     return;
   }
 
   if (!closed) {
-    // 防止上游没有 message_stop 的极端情况 :contentReference[oaicite:12]{index=12}
-    const stopChunk = {
-      id,
-      object: "chat.completion.chunk",
-      created: Math.floor(Date.now() / 1000),
-      model,
-      choices: [
-        {
-          index: 0,
-          delta: {},
-          finish_reason: "stop"
-        }
-      ]
-    };
-    res.write(`data: ${JSON.stringify(stopChunk)}\n\n`);
-    res.write("data: [DONE]\n\n");
-    res.end();
+    // 上游流没有 message_stop 就结束了：内容可能被截断，按错误结束，不能当成完整输出
+    logger.error("upstream stream ended without message_stop");
+    fail(
+      createApiError(502, "Upstream stream ended unexpectedly", {
+        type: "server_error",
+        code: "upstream_incomplete"
+      })
+    );
+  }
+}
+
+/**
+ * chat.completion.chunk 流的默认输出：每个 chunk 一行 data，正常结束时以 [DONE] 收尾
+ * /v1/responses 用 responsesAdapter.js 的 createResponsesStreamSink 把同样的 chunk 转成 Responses 事件
+ */
+function createChatChunkSink(res) {
+  return {
+    write(chunk) {
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    },
+    // 流中途出错：下发 OpenAI 的 {error: {...}} 事件后直接结束
+    fail(err) {
+      res.write(`data: ${JSON.stringify(toOpenAIErrorPayload(err))}\n\n`);
+      res.end();
+    },
+    end() {
+      res.write("data: [DONE]\n\n");
+      res.end();
+    }
+  };
+}
+
+/**
+ * 把一个完整的 chat.completion 响应按 chat.completion.chunk 流的格式回放给客户端
+ * （strict json_schema、响应缓存命中等需要先拿到完整结果的场景）
+ */
+function writeCompletionAsStream(
+  res,
+  oaiResp,
+  { includeUsage = false, sink = createChatChunkSink(res) } = {}
+) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+
+  const choice = oaiResp.choices[0];
+  const message = choice.message;
+  const base = {
+    id: oaiResp.id,
+    object: "chat.completion.chunk",
+    created: oaiResp.created,
+    model: oaiResp.model
+  };
+  const write = (delta, finishReason = null) => {
+    sink.write({
+      ...base,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    });
+  };
+
+  const first = { role: "assistant" };
+  if (message.reasoning_content) first.reasoning_content = message.reasoning_content;
+  if (message.content) first.content = message.content;
+  write(first);
+  if (message.annotations) write({ annotations: message.annotations });
+  (message.tool_calls || []).forEach((tc, index) => {
+    write({ tool_calls: [{ index, ...tc }] });
+  });
+  if (message.claude_thinking_state) {
+    write({ claude_thinking_state: message.claude_thinking_state });
+  }
+  write({}, choice.finish_reason || "stop");
+  if (includeUsage) {
+    sink.write({ ...base, choices: [], usage: oaiResp.usage || null });
   }
+  sink.end();
 }
 
 app.listen(config.port, () => {
-  console.log(
-    `[server] Vertex Claude OpenAI gateway listening on port ${config.port}, default model = ${config.defaultModel}`
-  );
+  logger.info("Vertex Claude OpenAI gateway listening", {
+    port: Number(config.port),
+    default_model: config.defaultModel,
+    upstream_mode: config.upstream.mode
+  });
+  if (config.upstream.mode !== "replay") warmUpCredentials();
+  // 上次退出时没跑完的 batch 接着跑
+  resumeBatches();
 });
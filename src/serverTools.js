@@ -0,0 +1,103 @@
+// src/serverTools.js
+
+/**
+ * Claude 服务端工具（web search、web fetch、code execution）：由 Claude 在上游执行，不会变成客户端的 tool_calls
+ * 请求：
+ *   - tools 里直接写 Claude 的服务端工具类型，如
+ *     { type: "web_search_20250305", max_uses: 3, allowed_domains: [...] }，其余字段原样转发，name 可省略
+ *   - 或者用 OpenAI 的 web_search_options，转成 web_search 工具；
+ *     额外支持 max_uses / allowed_domains / blocked_domains（Claude 的字段名）
+ * 响应：server_tool_use 和 *_tool_result block 不下发给客户端，
+ *       和 thinking block 一起编码进 claude_thinking_state，下一轮带回时原样还原（见 thinkingState.js）；
+ *       web search 的引用转成 url_citation annotation（见 citations.js）
+ */
+
+// 类型前缀 -> 默认工具名（Claude 要求 name 和类型对应）
+const SERVER_TOOL_NAMES = {
+  web_search: "web_search",
+  web_fetch: "web_fetch",
+  code_execution: "code_execution"
+};
+
+// 需要 anthropic-beta 头的工具版本
+const SERVER_TOOL_BETAS = {
+  web_fetch_20250910: "web-fetch-2025-09-10",
+  code_execution_20250522: "code-execution-2025-05-22",
+  code_execution_20250825: "code-execution-2025-08-25"
+};
+
+const WEB_SEARCH_TOOL_TYPE = "web_search_20250305";
+
+// web_search_options.user_location.approximate 和 Claude user_location 共有的字段
+const USER_LOCATION_FIELDS = ["city", "region", "country", "timezone"];
+
+/**
+ * @param {string} type 工具类型，如 web_search_20250305
+ * @returns {string|null} 服务端工具的默认名字，不是服务端工具时返回 null
+ */
+function serverToolName(type) {
+  const match = typeof type === "string" && /^([a-z_]+)_\d{8}$/.exec(type);
+  return (match && SERVER_TOOL_NAMES[match[1]]) || null;
+}
+
+function isServerToolType(type) {
+  return serverToolName(type) !== null;
+}
+
+/**
+ * OpenAI tools 里的服务端工具条目 -> Claude tool（字段原样转发，补上默认 name）
+ */
+function toServerTool(tool) {
+  return { name: serverToolName(tool.type), ...tool };
+}
+
+/**
+ * OpenAI web_search_options -> Claude web_search 工具
+ * search_context_size 在 Claude 里没有对应参数，忽略
+ */
+function webSearchToolFromOptions(options) {
+  const tool = { type: WEB_SEARCH_TOOL_TYPE, name: "web_search" };
+  if (typeof options.max_uses === "number") tool.max_uses = options.max_uses;
+  if (Array.isArray(options.allowed_domains)) tool.allowed_domains = options.allowed_domains;
+  if (Array.isArray(options.blocked_domains)) tool.blocked_domains = options.blocked_domains;
+  const approximate = options.user_location && options.user_location.approximate;
+  if (approximate) {
+    tool.user_location = { type: "approximate" };
+    for (const field of USER_LOCATION_FIELDS) {
+      if (approximate[field]) tool.user_location[field] = approximate[field];
+    }
+  }
+  return tool;
+}
+
+/**
+ * 请求里的服务端工具需要的 anthropic-beta 列表
+ * @param {Array<Object>} [tools] Claude tools
+ */
+function serverToolBetas(tools) {
+  const betas = new Set();
+  for (const tool of tools || []) {
+    if (SERVER_TOOL_BETAS[tool.type]) betas.add(SERVER_TOOL_BETAS[tool.type]);
+  }
+  return [...betas];
+}
+
+/**
+ * 服务端工具的调用和结果 block（server_tool_use、web_search_tool_result、code_execution_tool_result 等）
+ * 普通的 tool_result 是客户端工具的结果，不算
+ */
+function isServerToolBlock(block) {
+  if (!block || typeof block.type !== "string") return false;
+  return (
+    block.type === "server_tool_use" ||
+    (block.type !== "tool_result" && block.type.endsWith("_tool_result"))
+  );
+}
+
+module.exports = {
+  isServerToolType,
+  toServerTool,
+  webSearchToolFromOptions,
+  serverToolBetas,
+  isServerToolBlock
+};
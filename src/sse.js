@@ -0,0 +1,54 @@
+// src/sse.js
+
+/**
+ * 增量解析 Anthropic SSE 流
+ * 每解析出一个事件回调一次 onEvent(data, eventName)，data 为 JSON.parse 后的对象
+ * 非 JSON / [DONE] 的事件直接跳过
+ * @param {Function} onEvent
+ * @returns {{push: Function}} push(chunk) 接收 Uint8Array 或字符串
+ */
+function createSSEParser(onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  function push(chunk) {
+    buffer +=
+      typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    buffer = buffer.replace(/\r\n/g, "\n");
+
+    // SSE 事件以 \n\n 分隔
+    let idx;
+    while ((idx = buffer.indexOf("\n\n")) !== -1) {
+      const rawEvent = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+
+      const lines = rawEvent
+        .split("\n")
+        .map((l) => l.trim())
+        .filter(Boolean);
+
+      if (!lines.length) continue;
+
+      // Anthropic SSE 一般有 event: xxx + data: {...}
+      const eventLine = lines.find((l) => l.startsWith("event:"));
+      const dataLine = lines.find((l) => l.startsWith("data:"));
+      if (!dataLine) continue;
+      const jsonStr = dataLine.slice("data:".length).trim();
+      if (!jsonStr || jsonStr === "[DONE]") continue;
+
+      let data;
+      try {
+        data = JSON.parse(jsonStr);
+      } catch {
+        continue;
+      }
+      onEvent(data, eventLine ? eventLine.slice("event:".length).trim() : null);
+    }
+  }
+
+  return { push };
+}
+
+module.exports = {
+  createSSEParser
+};
@@ -0,0 +1,219 @@
+// src/structuredOutput.js
+
+const { config } = require("./config");
+const { createApiError, invalidRequestError } = require("./errors");
+const { compileSchemaPatterns, validateJsonSchema } = require("./jsonSchema");
+const { logger } = require("./logger");
+
+/**
+ * OpenAI response_format -> Claude
+ * - json_schema：加一个 input_schema 为用户 schema 的合成工具并强制调用，
+ *   工具入参再作为 message.content 的 JSON 文本返回（不作为 tool_calls）
+ * - json_object：system 里加说明 + assistant 预填 "{"
+ * 处理结果记在 claudeReq.responseFormat 上（不会发给上游），响应转换和校验时使用
+ */
+
+const DEFAULT_TOOL_NAME = "json_response";
+
+const JSON_OBJECT_INSTRUCTION =
+  "Respond only with a single valid JSON object. Do not include any text before or after the JSON.";
+
+function toToolName(name, existingTools) {
+  let toolName = String(name || DEFAULT_TOOL_NAME)
+    .replace(/[^a-zA-Z0-9_-]/g, "_")
+    .slice(0, 64);
+  const taken = new Set((existingTools || []).map((t) => t.name));
+  while (taken.has(toolName)) toolName = `${toolName.slice(0, 57)}_output`;
+  return toolName;
+}
+
+function appendSystemText(claudeReq, text) {
+  if (!claudeReq.system) {
+    claudeReq.system = text;
+  } else if (Array.isArray(claudeReq.system)) {
+    claudeReq.system.push({ type: "text", text });
+  } else {
+    claudeReq.system = `${claudeReq.system}\n\n${text}`;
+  }
+}
+
+/**
+ * 按 response_format 改写 Claude 请求（原地修改）
+ * @param {Object} claudeReq mapOpenAIRequestToClaude 生成的请求
+ * @param {Object} responseFormat OpenAI response_format
+ */
+function applyResponseFormat(claudeReq, responseFormat) {
+  if (!responseFormat || responseFormat.type === "text") return claudeReq;
+  const thinkingEnabled =
+    !!claudeReq.thinking && claudeReq.thinking.type === "enabled";
+
+  if (responseFormat.type === "json_schema") {
+    const jsonSchema = responseFormat.json_schema || {};
+    const schema = jsonSchema.schema;
+    if (!schema || typeof schema !== "object" || schema.type !== "object") {
+      throw invalidRequestError(
+        "response_format.json_schema.schema must be a JSON schema with type \"object\"",
+        "response_format.json_schema.schema"
+      );
+    }
+    const patternError = compileSchemaPatterns(schema);
+    if (patternError) {
+      throw invalidRequestError(
+        `Invalid pattern in response_format.json_schema.schema: ${patternError}`,
+        "response_format"
+      );
+    }
+    // Claude 不允许 extended thinking 和强制工具调用同时使用
+    if (thinkingEnabled) {
+      throw invalidRequestError(
+        "response_format json_schema cannot be combined with extended thinking",
+        "response_format"
+      );
+    }
+
+    const userTools = claudeReq.tools || [];
+    // 结构化输出靠调用合成工具返回，tool_choice none 会让它永远拿不到结果
+    if (claudeReq.tool_choice && claudeReq.tool_choice.type === "none") {
+      throw invalidRequestError(
+        "response_format json_schema cannot be combined with tool_choice \"none\"",
+        "tool_choice"
+      );
+    }
+    const toolName = toToolName(jsonSchema.name, userTools);
+    claudeReq.tools = [
+      ...userTools,
+      {
+        name: toolName,
+        description:
+          jsonSchema.description ||
+          "Use this tool to give your final answer. Its input must follow the provided schema.",
+        input_schema: schema
+      }
+    ];
+    // 没有其他工具时强制调用合成工具；有其他工具且客户端没指定时，要求必须调用某个工具
+    if (!userTools.length) {
+      claudeReq.tool_choice = { type: "tool", name: toolName };
+    } else if (!claudeReq.tool_choice || claudeReq.tool_choice.type === "auto") {
+      claudeReq.tool_choice = { ...claudeReq.tool_choice, type: "any" };
+    }
+
+    claudeReq.responseFormat = {
+      type: "json_schema",
+      toolName,
+      schema,
+      strict: !!jsonSchema.strict
+    };
+    return claudeReq;
+  }
+
+  if (responseFormat.type === "json_object") {
+    appendSystemText(claudeReq, JSON_OBJECT_INSTRUCTION);
+    // 预填只能接在 user 消息之后，且不能和 thinking 一起用
+    const last = claudeReq.messages[claudeReq.messages.length - 1];
+    const prefill = !thinkingEnabled && last && last.role === "user" ? "{" : "";
+    if (prefill) {
+      claudeReq.messages.push({
+        role: "assistant",
+        content: [{ type: "text", text: prefill }]
+      });
+    }
+    claudeReq.responseFormat = { type: "json_object", prefill };
+    return claudeReq;
+  }
+
+  throw invalidRequestError(
+    `Unsupported response_format type: ${responseFormat.type}`,
+    "response_format.type"
+  );
+}
+
+function findStructuredBlock(message, responseFormat) {
+  return (message.content || []).find(
+    (b) => b && b.type === "tool_use" && b.name === responseFormat.toolName
+  );
+}
+
+/**
+ * strict 模式下校验合成工具的入参，返回错误列表
+ * 模型调用了用户自己的工具、或者因为 max_tokens 截断时不做校验
+ */
+function validateStructuredResponse(message, responseFormat) {
+  if (message.stop_reason === "max_tokens") return [];
+  const block = findStructuredBlock(message, responseFormat);
+  if (!block) {
+    const calledOtherTool = (message.content || []).some(
+      (b) => b && b.type === "tool_use"
+    );
+    return calledOtherTool
+      ? []
+      : [`The response must be given by calling the ${responseFormat.toolName} tool`];
+  }
+  return validateJsonSchema(block.input, responseFormat.schema);
+}
+
+function addUsage(total, usage) {
+  for (const [key, value] of Object.entries(usage || {})) {
+    if (typeof value === "number") total[key] = (total[key] || 0) + value;
+  }
+  return total;
+}
+
+/**
+ * 调用上游并在 strict json_schema 模式下校验结果，不通过时把错误反馈给模型重试
+ * 最多重试 STRUCTURED_OUTPUT_MAX_RETRIES 次，返回的 usage 是所有尝试之和
+ * @param {Object} claudeReq
+ * @param {Function} call (claudeReq) => Promise<Claude message>
+ */
+async function callWithStructuredOutput(claudeReq, call) {
+  const responseFormat = claudeReq.responseFormat;
+  let message = await call(claudeReq);
+  if (!responseFormat || responseFormat.type !== "json_schema" || !responseFormat.strict) {
+    return message;
+  }
+
+  const usage = addUsage({}, message.usage);
+  let messages = claudeReq.messages;
+  for (let retry = 0; ; retry++) {
+    const errors = validateStructuredResponse(message, responseFormat);
+    if (!errors.length) {
+      return { ...message, usage };
+    }
+    if (retry >= config.structuredOutputMaxRetries) {
+      throw createApiError(
+        500,
+        `Model output did not match the JSON schema after ${retry + 1} attempt(s): ${errors.slice(0, 5).join("; ")}`,
+        { type: "server_error", code: "json_schema_validation_failed" }
+      );
+    }
+    logger.warn("structured output schema validation failed, retrying", {
+      retry: retry + 1,
+      max_retries: config.structuredOutputMaxRetries,
+      errors: errors.slice(0, 5)
+    });
+
+    const block = findStructuredBlock(message, responseFormat);
+    const feedback = `Your output does not match the required JSON schema:\n- ${errors.join("\n- ")}\nCall ${responseFormat.toolName} again with corrected input.`;
+    messages = [
+      ...messages,
+      {
+        role: "assistant",
+        content: (message.content || []).length
+          ? message.content
+          : [{ type: "text", text: "(no output)" }]
+      },
+      {
+        role: "user",
+        content: block
+          ? [{ type: "tool_result", tool_use_id: block.id, is_error: true, content: feedback }]
+          : [{ type: "text", text: feedback }]
+      }
+    ];
+    message = await call({ ...claudeReq, messages });
+    addUsage(usage, message.usage);
+  }
+}
+
+module.exports = {
+  applyResponseFormat,
+  callWithStructuredOutput
+};
@@ -0,0 +1,79 @@
+// src/targets.js
+
+const { config } = require("./config");
+const { logger } = require("./logger");
+
+/**
+ * 上游 target（project + location + 凭证）的排序与熔断
+ * 熔断器状态直接挂在 target 对象上：
+ *   - failures: 连续失败次数
+ *   - openUntil: 熔断截止时间，过了之后放行一次试探请求（half-open）
+ */
+
+for (const target of config.targets) {
+  target.breaker = { failures: 0, openUntil: 0 };
+}
+
+function isBreakerOpen(target, now = Date.now()) {
+  return target.breaker.openUntil > now;
+}
+
+function recordSuccess(target) {
+  target.breaker.failures = 0;
+  target.breaker.openUntil = 0;
+}
+
+function recordFailure(target) {
+  target.breaker.failures += 1;
+  if (target.breaker.failures >= config.breaker.threshold) {
+    const wasOpen = isBreakerOpen(target);
+    target.breaker.openUntil = Date.now() + config.breaker.cooldownMs;
+    if (!wasOpen) {
+      logger.warn("circuit opened", {
+        target: target.name,
+        failures: target.breaker.failures,
+        cooldown_ms: config.breaker.cooldownMs
+      });
+    }
+  }
+}
+
+/**
+ * 按权重做一次随机排列（权重越大越可能排在前面）
+ */
+function weightedShuffle(list) {
+  const pool = [...list];
+  const result = [];
+  while (pool.length) {
+    const total = pool.reduce((sum, t) => sum + Math.max(t.weight, 0), 0);
+    let pick = 0;
+    if (total > 0) {
+      let r = Math.random() * total;
+      pick = pool.findIndex((t) => (r -= Math.max(t.weight, 0)) < 0);
+      if (pick === -1) pick = pool.length - 1;
+    }
+    result.push(pool.splice(pick, 1)[0]);
+  }
+  return result;
+}
+
+/**
+ * 本次请求的尝试顺序：熔断中的 target 排在最后（全部熔断时仍然会尝试）
+ */
+function orderTargets() {
+  const now = Date.now();
+  const ordered =
+    config.targetStrategy === "weighted"
+      ? weightedShuffle(config.targets)
+      : config.targets;
+  return [
+    ...ordered.filter((t) => !isBreakerOpen(t, now)),
+    ...ordered.filter((t) => isBreakerOpen(t, now))
+  ];
+}
+
+module.exports = {
+  orderTargets,
+  recordSuccess,
+  recordFailure
+};
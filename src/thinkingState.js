@@ -0,0 +1,138 @@
+// src/thinkingState.js
+
+const crypto = require("crypto");
+const { config } = require("./config");
+const { invalidRequestError } = require("./errors");
+const { isServerToolBlock } = require("./serverTools");
+
+/**
+ * extended thinking + 工具调用的多轮往返：
+ * Claude 要求下一轮请求里原样带回上一轮 assistant 的 thinking / redacted_thinking block（含 signature），
+ * 而 OpenAI 格式里没有地方放它们。这里提供两条路：
+ *   1. 把 block 编码成一个不透明字符串（带 HMAC 防篡改），挂在 assistant message 的 claude_thinking_state 上，
+ *      客户端原样带回即可
+ *   2. 服务端按 tool_call id 缓存一份，客户端丢掉了上面的字段时兜底
+ * 服务端工具（web search 等）的 server_tool_use / *_tool_result block 同样没有 OpenAI 对应物，
+ * 也走这套机制带回下一轮（见 serverTools.js）；这种轮次里 text block 也一起保存，
+ * 客户端带回的正文没改动时按原始顺序（text -> server_tool_use -> 结果 -> 带引用的 text）还原
+ */
+
+const STATE_VERSION = "v1";
+
+// 没配置密钥时每次启动随机生成，重启后旧的 state 会校验失败
+const secret = config.thinkingStateSecret || crypto.randomBytes(32).toString("hex");
+
+// tool_call id -> { blocks, expireAt }，Map 保持插入顺序，超出上限时淘汰最旧的
+const cache = new Map();
+
+function sign(payload) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+/**
+ * 只保留需要回传的 block 类型和字段：thinking / redacted_thinking，以及服务端工具的调用和结果（整块保留）
+ * 有服务端工具 block 时 text block 也保留（含 citations），用来还原 block 顺序
+ */
+function pickThinkingBlocks(contentBlocks) {
+  const result = [];
+  const keepText = (contentBlocks || []).some(isServerToolBlock);
+  for (const block of contentBlocks || []) {
+    if (!block) continue;
+    if (block.type === "thinking") {
+      result.push({
+        type: "thinking",
+        thinking: block.thinking || "",
+        signature: block.signature || ""
+      });
+    } else if (block.type === "redacted_thinking") {
+      result.push({ type: "redacted_thinking", data: block.data });
+    } else if (isServerToolBlock(block)) {
+      result.push(block);
+    } else if (keepText && block.type === "text" && block.text) {
+      const text = { type: "text", text: block.text };
+      if (block.citations && block.citations.length) text.citations = block.citations;
+      result.push(text);
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {Array} blocks pickThinkingBlocks 的结果
+ * @returns {string} v1.<base64url(json)>.<hmac>
+ */
+function encodeThinkingState(blocks) {
+  const payload = Buffer.from(JSON.stringify(blocks)).toString("base64url");
+  return `${STATE_VERSION}.${payload}.${sign(payload)}`;
+}
+
+/**
+ * 校验并还原 encodeThinkingState 的结果，格式或签名不对时抛 400
+ * @param {string} state
+ * @param {string} param 出错时回报的字段路径
+ */
+function decodeThinkingState(state, param) {
+  const parts = typeof state === "string" ? state.split(".") : [];
+  if (parts.length !== 3 || parts[0] !== STATE_VERSION) {
+    throw invalidRequestError("Malformed claude_thinking_state", param);
+  }
+  const [, payload, mac] = parts;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(mac);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    throw invalidRequestError(
+      "claude_thinking_state failed verification (tampered, or issued by another gateway instance)",
+      param
+    );
+  }
+  try {
+    const blocks = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return Array.isArray(blocks) ? blocks : [];
+  } catch {
+    throw invalidRequestError("Malformed claude_thinking_state", param);
+  }
+}
+
+/**
+ * 以本轮的 tool_call id 为键缓存 thinking blocks
+ */
+function rememberThinkingBlocks(toolCallIds, blocks) {
+  if (!blocks.length || !config.thinkingCacheMax) return;
+  const expireAt = Date.now() + config.thinkingCacheTtlMs;
+  for (const id of toolCallIds) {
+    if (!id) continue;
+    cache.delete(id);
+    cache.set(id, { blocks, expireAt });
+  }
+  while (cache.size > config.thinkingCacheMax) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * 按 tool_call id 找回缓存的 thinking blocks，找不到返回 null
+ */
+function recallThinkingBlocks(toolCallIds) {
+  const now = Date.now();
+  for (const id of toolCallIds) {
+    const entry = id && cache.get(id);
+    if (!entry) continue;
+    if (entry.expireAt <= now) {
+      cache.delete(id);
+      continue;
+    }
+    return entry.blocks;
+  }
+  return null;
+}
+
+module.exports = {
+  pickThinkingBlocks,
+  encodeThinkingState,
+  decodeThinkingState,
+  rememberThinkingBlocks,
+  recallThinkingBlocks
+};
@@ -0,0 +1,310 @@
+// src/upstreamFixtures.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { config } = require("./config");
+const { canonicalJson } = require("./responseCache");
+const { logger } = require("./logger");
+
+/**
+ * 上游录制 / 回放（UPSTREAM_MODE），离线开发和回归测试用：
+ *   record：照常请求 Vertex，同时把每次尝试的请求和响应写进 <dir>/<key>.json；
+ *           流式响应按 chunk 记录原始字节和与上一个 chunk 的间隔
+ *   replay：不取 token、不发网络请求，按请求找到 fixture 原样回放（包括响应头延迟和 chunk 间隔）；
+ *           找不到时返回 501，不会重试
+ * key 是规范化后的 Claude 请求体 + 模型 + 是否流式的 sha256，见 fixtureKey
+ * 回放发生在 vertexClient 的单次尝试里，重试、故障转移、超时、错误映射都照常执行；
+ * 配合 UPSTREAM_REPLAY_FAULTS 注入的故障（见 pickFault）可以在没有凭证的机器上覆盖这些路径
+ */
+
+// fixture 里保留的响应头
+const RECORDED_HEADERS = ["content-type", "retry-after", "request-id", "x-request-id"];
+
+// 注入错误时按状态码选 Claude / Google 的错误类型
+const ERROR_TYPES = {
+  429: { anthropic: "rate_limit_error", google: "RESOURCE_EXHAUSTED" },
+  503: { anthropic: "overloaded_error", google: "UNAVAILABLE" },
+  529: { anthropic: "overloaded_error", google: "UNAVAILABLE" },
+  504: { anthropic: "api_error", google: "DEADLINE_EXCEEDED" }
+};
+
+// 故障规则 index -> 已经生效的次数（times 用）
+const faultHits = new Map();
+
+/**
+ * 去掉每次都会变的部分：metadata（用户 id 等）、stream（单独参与 key），
+ * tool_use id 按出现顺序重新编号（Gemini 这类 provider 每次生成的 id 都不一样）
+ */
+function normalizeBody(body) {
+  const { metadata, stream, ...rest } = body || {};
+  const ids = new Map();
+  const renumber = (id) => {
+    if (!ids.has(id)) ids.set(id, `tool_${ids.size}`);
+    return ids.get(id);
+  };
+  const messages = (rest.messages || []).map((message) => {
+    if (!Array.isArray(message.content)) return message;
+    return {
+      ...message,
+      content: message.content.map((block) => {
+        if (block.type === "tool_use") return { ...block, id: renumber(block.id) };
+        if (block.type === "tool_result") {
+          return { ...block, tool_use_id: renumber(block.tool_use_id) };
+        }
+        return block;
+      })
+    };
+  });
+  return { ...rest, messages };
+}
+
+/**
+ * @param {Object} fixture
+ * @param {string} fixture.model
+ * @param {string} fixture.kind messages / count_tokens
+ * @param {boolean} [fixture.stream]
+ * @param {Object} fixture.body Claude 格式的请求体
+ * @returns {{key: string, model: string, kind: string, stream: boolean, request: Object}}
+ */
+function fixtureKey({ model, kind, stream = false, body }) {
+  const request = normalizeBody(body);
+  const key = crypto
+    .createHash("sha256")
+    .update(canonicalJson({ model, kind, stream, request }))
+    .digest("hex");
+  return { key, model, kind, stream, request };
+}
+
+function fixturePath(key) {
+  fs.mkdirSync(config.upstream.fixturesDir, { recursive: true });
+  return path.join(config.upstream.fixturesDir, `${key}.json`);
+}
+
+function pickHeaders(headers) {
+  const result = {};
+  for (const name of RECORDED_HEADERS) {
+    const value = headers.get(name);
+    if (value) result[name] = value;
+  }
+  return result;
+}
+
+// 能按 UTF-8 原样还原的 chunk 存文本，方便查看和手工修改，否则存 base64
+function encodeChunk(bytes, delayMs) {
+  const text = Buffer.from(bytes).toString("utf8");
+  return Buffer.from(text, "utf8").equals(Buffer.from(bytes))
+    ? { delayMs, text }
+    : { delayMs, base64: Buffer.from(bytes).toString("base64") };
+}
+
+function decodeChunk(chunk) {
+  return chunk.base64 !== undefined
+    ? new Uint8Array(Buffer.from(chunk.base64, "base64"))
+    : new TextEncoder().encode(chunk.text || "");
+}
+
+function saveFixture(info, response) {
+  const file = fixturePath(info.key);
+  fs.writeFileSync(
+    file,
+    JSON.stringify(
+      {
+        key: info.key,
+        model: info.model,
+        kind: info.kind,
+        stream: info.stream,
+        recordedAt: new Date().toISOString(),
+        request: info.request,
+        response
+      },
+      null,
+      2
+    )
+  );
+  logger.info("upstream fixture recorded", {
+    key: info.key,
+    model: info.model,
+    status: response.status
+  });
+}
+
+/**
+ * record 模式：把上游响应原样交回去，同时记下内容
+ * 流式响应读完时才写文件；中途被取消或出错的不写
+ * @param {Response} res 上游 fetch 的结果
+ * @param {Object} info fixtureKey 的结果
+ * @param {Object} options
+ * @param {boolean} options.stream
+ * @param {number} options.startedAt 发请求的时间，用来算响应头延迟
+ * @returns {Promise<Response>}
+ */
+async function recordUpstream(res, info, { stream, startedAt }) {
+  const headersAt = Date.now();
+  const base = {
+    status: res.status,
+    headers: pickHeaders(res.headers),
+    latencyMs: headersAt - startedAt
+  };
+  const init = { status: res.status, statusText: res.statusText, headers: res.headers };
+
+  if (!stream || !res.ok) {
+    const text = await res.text();
+    saveFixture(info, { ...base, body: text });
+    return new Response(text, init);
+  }
+
+  const reader = res.body.getReader();
+  const chunks = [];
+  let last = headersAt;
+  const body = new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        saveFixture(info, { ...base, chunks });
+        controller.close();
+        return;
+      }
+      const now = Date.now();
+      chunks.push(encodeChunk(value, now - last));
+      last = now;
+      controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(body, init);
+}
+
+/**
+ * 按 UPSTREAM_REPLAY_FAULTS 选一条生效的故障规则（第一条匹配的），规则字段：
+ *   model / stream / key        匹配条件（model、key 按前缀匹配），都不写时匹配所有请求
+ *   probability                 生效概率，默认 1
+ *   times                       最多生效几次，默认不限
+ *   status / retryAfter / message   不回放 fixture，直接返回这个错误状态码
+ *   latencyMs                   响应头之前额外等待的毫秒数
+ *   truncateAfterChunks         流式响应只回放前 N 个 chunk
+ *   truncateWithError           截断时以网络错误结束（默认是正常结束，只是缺了后面的事件）
+ */
+function pickFault(info) {
+  const rules = config.upstream.replayFaults;
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (rule.model && !info.model.startsWith(rule.model)) continue;
+    if (typeof rule.stream === "boolean" && rule.stream !== info.stream) continue;
+    if (rule.key && !info.key.startsWith(rule.key)) continue;
+    const hits = faultHits.get(i) || 0;
+    if (typeof rule.times === "number" && hits >= rule.times) continue;
+    if (typeof rule.probability === "number" && Math.random() >= rule.probability) continue;
+    faultHits.set(i, hits + 1);
+    return rule;
+  }
+  return null;
+}
+
+/**
+ * 可中止的等待，中止时以 signal.reason 失败（和 fetch 的行为一致）
+ */
+function delay(ms, signal) {
+  const scaled = ms * config.upstream.replaySpeed;
+  if (signal && signal.aborted) return Promise.reject(signal.reason);
+  if (!(scaled > 0)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, scaled);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function errorBody(status, message, publisher) {
+  const types = ERROR_TYPES[status] || { anthropic: "api_error", google: "INTERNAL" };
+  return publisher === "google"
+    ? { error: { code: status, message, status: types.google } }
+    : { type: "error", error: { type: types.anthropic, message } };
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json", ...headers }
+  });
+}
+
+/**
+ * replay 模式：用 fixture（以及注入的故障）伪造一次上游响应
+ * @param {Object} info fixtureKey 的结果
+ * @param {Object} options
+ * @param {string} options.publisher anthropic / google，决定注入错误的格式
+ * @param {AbortSignal} options.signal 本次尝试的 signal（超时、客户端断开）
+ * @returns {Promise<Response>}
+ */
+async function replayUpstream(info, { publisher, signal }) {
+  const fault = pickFault(info) || {};
+  await delay(fault.latencyMs || 0, signal);
+
+  if (fault.status) {
+    const message = fault.message || `Injected upstream error ${fault.status}`;
+    logger.info("upstream fault injected", { key: info.key, status: fault.status });
+    return jsonResponse(
+      fault.status,
+      errorBody(fault.status, message, publisher),
+      fault.retryAfter ? { "retry-after": String(fault.retryAfter) } : {}
+    );
+  }
+
+  let fixture;
+  try {
+    fixture = JSON.parse(fs.readFileSync(fixturePath(info.key), "utf8"));
+  } catch {
+    logger.warn("upstream fixture not found", { key: info.key, model: info.model });
+    return jsonResponse(
+      501,
+      errorBody(501, `No replay fixture for ${info.model} (key ${info.key})`, publisher)
+    );
+  }
+
+  const { response } = fixture;
+  await delay(response.latencyMs || 0, signal);
+  const init = { status: response.status, headers: response.headers || {} };
+  if (!response.chunks) return new Response(response.body || "", init);
+
+  const limit =
+    typeof fault.truncateAfterChunks === "number"
+      ? fault.truncateAfterChunks
+      : response.chunks.length;
+  let next = 0;
+  let cancelled = false;
+  const body = new ReadableStream({
+    async pull(controller) {
+      if (next >= limit) {
+        if (next < response.chunks.length && fault.truncateWithError) {
+          controller.error(new TypeError("terminated"));
+        } else {
+          controller.close();
+        }
+        return;
+      }
+      const chunk = response.chunks[next++];
+      await delay(chunk.delayMs || 0);
+      if (!cancelled) controller.enqueue(decodeChunk(chunk));
+    },
+    cancel() {
+      cancelled = true;
+    }
+  });
+  return new Response(body, init);
+}
+
+module.exports = {
+  fixtureKey,
+  recordUpstream,
+  replayUpstream
+};
@@ -0,0 +1,175 @@
+// src/usageStore.js
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const { config } = require("./config");
+const { recordKeyUsage } = require("./apiKeys");
+const { estimateCost } = require("./pricing");
+const { logger } = require("./logger");
+const { metrics } = require("./metrics");
+
+/**
+ * 用量记录：每个请求一行 JSON，追加写到 USAGE_LOG_FILE（默认 data/usage.jsonl）
+ * 字段：ts / keyId / keyName / model / user / endpoint / stream / latencyMs /
+ *       inputTokens / outputTokens / cacheReadTokens / cacheWriteTokens / costUsd
+ */
+
+// gateway_tokens_total 的 type 标签 -> Claude usage 字段
+const TOKEN_FIELDS = {
+  input: "input_tokens",
+  output: "output_tokens",
+  cache_read: "cache_read_input_tokens",
+  cache_write: "cache_creation_input_tokens"
+};
+
+let logStream = null;
+
+function getLogStream() {
+  if (!logStream) {
+    fs.mkdirSync(path.dirname(config.usageLogFile), { recursive: true });
+    logStream = fs.createWriteStream(config.usageLogFile, { flags: "a" });
+    logStream.on("error", (err) => {
+      logger.error("failed to write usage log", { err });
+    });
+  }
+  return logStream;
+}
+
+/**
+ * 记录一次请求的用量：同时计入 API Key 的限流 / 额度和本地用量日志
+ * @param {Object} req Express 请求（读取 req.apiKey / req.startedAt）
+ * @param {Object} entry
+ * @param {string} entry.model
+ * @param {Object} entry.usage Claude usage
+ * @param {string} entry.endpoint 例如 chat.completions / messages
+ * @param {boolean} [entry.stream]
+ * @param {string} [entry.user] OpenAI user 字段 / Anthropic metadata.user_id
+ */
+function recordRequestUsage(req, { model, usage, endpoint, stream = false, user }) {
+  recordKeyUsage(req.apiKey, usage);
+  if (usage) {
+    for (const [type, field] of Object.entries(TOKEN_FIELDS)) {
+      if (usage[field]) metrics.tokens.inc({ model, type }, usage[field]);
+    }
+  }
+  if (!config.usageLogEnabled || !usage) return;
+
+  const record = {
+    ts: new Date().toISOString(),
+    keyId: req.apiKey ? req.apiKey.id : null,
+    keyName: req.apiKey ? req.apiKey.name : null,
+    model,
+    user: typeof user === "string" ? user : null,
+    endpoint,
+    stream,
+    latencyMs: req.startedAt ? Date.now() - req.startedAt : null,
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+    costUsd: estimateCost(model, usage)
+  };
+  getLogStream().write(`${JSON.stringify(record)}\n`);
+}
+
+const GROUP_FIELDS = {
+  day: (r) => r.ts.slice(0, 10),
+  key: (r) => r.keyName || r.keyId || "anonymous",
+  model: (r) => r.model,
+  user: (r) => r.user || ""
+};
+
+/**
+ * 按 day / key / model / user 聚合用量
+ * @param {Object} options
+ * @param {Array<string>} [options.groupBy] 默认 ["day", "key", "model"]
+ * @param {string} [options.start] 起始日期（含），YYYY-MM-DD
+ * @param {string} [options.end] 结束日期（含），YYYY-MM-DD
+ * @param {string} [options.keyId] 只统计某个 key
+ * @returns {Promise<Array<Object>>}
+ */
+async function aggregateUsage({ groupBy = ["day", "key", "model"], start, end, keyId } = {}) {
+  const groups = new Map();
+  if (!fs.existsSync(config.usageLogFile)) return [];
+
+  const rl = readline.createInterface({
+    input: fs.createReadStream(config.usageLogFile),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    let r;
+    try {
+      r = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const day = r.ts.slice(0, 10);
+    if (start && day < start) continue;
+    if (end && day > end) continue;
+    if (keyId && r.keyId !== keyId) continue;
+
+    const dims = Object.fromEntries(groupBy.map((g) => [g, GROUP_FIELDS[g](r)]));
+    const groupKey = JSON.stringify(dims);
+    let row = groups.get(groupKey);
+    if (!row) {
+      row = {
+        ...dims,
+        requests: 0,
+        input_tokens: 0,
+        output_tokens: 0,
+        cache_read_input_tokens: 0,
+        cache_creation_input_tokens: 0,
+        cost_usd: 0
+      };
+      groups.set(groupKey, row);
+    }
+    row.requests += 1;
+    row.input_tokens += r.inputTokens || 0;
+    row.output_tokens += r.outputTokens || 0;
+    row.cache_read_input_tokens += r.cacheReadTokens || 0;
+    row.cache_creation_input_tokens += r.cacheWriteTokens || 0;
+    row.cost_usd += r.costUsd || 0;
+  }
+
+  return [...groups.values()]
+    .map((row) => ({ ...row, cost_usd: Math.round(row.cost_usd * 1e6) / 1e6 }))
+    .sort((a, b) =>
+      groupBy
+        .map((g) => a[g])
+        .join("\u0000")
+        .localeCompare(groupBy.map((g) => b[g]).join("\u0000"))
+    );
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function usageRowsToCsv(rows, groupBy) {
+  const columns = [
+    ...groupBy,
+    "requests",
+    "input_tokens",
+    "output_tokens",
+    "cache_read_input_tokens",
+    "cache_creation_input_tokens",
+    "cost_usd"
+  ];
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  GROUP_FIELDS,
+  recordRequestUsage,
+  aggregateUsage,
+  usageRowsToCsv
+};
@@ -1,38 +1,23 @@
 // src/vertexClient.js
 
-const { GoogleAuth } = require("google-auth-library");
 const { config } = require("./config");
+const { orderTargets, recordSuccess, recordFailure } = require("./targets");
+const { getAccessToken } = require("./credentials");
+const { getModelInfo } = require("./modelRegistry");
+const { getProvider } = require("./providers");
+const { upstreamTimeoutError, describeOutcome } = require("./requestAbort");
+const { logger, getRequestContext, summarizeBody } = require("./logger");
+const { metrics } = require("./metrics");
+const { fixtureKey, recordUpstream, replayUpstream } = require("./upstreamFixtures");
 
-const auth = new GoogleAuth({
-  credentials: {
-    client_email: config.clientEmail,
-    private_key: config.privateKey
-  },
-  scopes: ["https://www.googleapis.com/auth/cloud-platform"]
-});
-
-// 简单 token 缓存（避免每次都重新获取）
-let cachedToken = null;
-let cachedTokenExpire = 0;
-
-async function getAccessToken() {
-  const now = Date.now();
-  if (cachedToken && now < cachedTokenExpire - 60_000) {
-    return cachedToken;
-  }
-  const client = await auth.getClient();
-  const { token, res } = await client.getAccessToken();
-  if (!token) {
-    throw new Error("Failed to obtain access token from GoogleAuth");
-  }
-  cachedToken = token;
-  // 这里就粗略缓存 30 分钟
-  cachedTokenExpire = now + 30 * 60_000;
-  return token;
-}
+// 上游响应里可能带的 request id 头（Anthropic 用 request-id）
+const UPSTREAM_REQUEST_ID_HEADERS = ["request-id", "x-request-id"];
+
+// 可以换个 target 重试的上游状态码
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504, 529]);
 
 /**
- * 调用 Claude on Vertex 的 Messages API (rawPredict)
+ * 调用 Messages API：请求和返回都是 Claude 格式，实际发给哪个上游由模型的 provider 决定（见 providers.js）
  * @param {Object} options
  * @param {string} options.model - Vertex 模型 ID
  * @param {Array} options.messages - Claude Messages 格式的 messages
@@ -46,8 +31,10 @@ async function getAccessToken() {
  * @param {Array<string>} [options.stop_sequences]
  * @param {Object} [options.metadata]
  * @param {Object} [options.thinking] - extended thinking 配置
+ * @param {Array<string>} [options.betas] - anthropic-beta 列表（服务端工具等需要）
  * @param {boolean} [options.stream] - 是否流式
- * @returns {Promise<Object|Response>} 非流式返回 JSON 对象；流式直接返回 fetch Response
+ * @param {AbortSignal} [options.signal] - 客户端断开 / 总超时时取消上游请求，见 requestAbort.js
+ * @returns {Promise<Object|Response>} 非流式返回 Claude message；流式返回内容为 Claude SSE 的 fetch Response
  */
 async function callClaudeMessages(options) {
   const {
@@ -63,18 +50,15 @@ async function callClaudeMessages(options) {
     stop_sequences,
     metadata,
     thinking,
-    stream = false
+    betas,
+    stream = false,
+    signal
   } = options;
 
-  const token = await getAccessToken();
-
-  const url = `https://${config.location}-aiplatform.googleapis.com/v1/projects/${config.projectId}/locations/${config.location}/publishers/anthropic/models/${model}:rawPredict`;
-
   const body = {
-    anthropic_version: config.anthropicVersion,
     messages,
     stream,
-    // Claude Messages API 通用字段 :contentReference[oaicite:9]{index=9}
+    // Claude Messages API 通用字段
     ...(system ? { system } : {}),
     ...(typeof max_tokens === "number" ? { max_tokens } : {}),
     ...(typeof temperature === "number" ? { temperature } : {}),
@@ -89,45 +73,354 @@ async function callClaudeMessages(options) {
     ...(thinking ? { thinking } : {})
   };
 
-  if (config.debug) {
-    console.log("[vertexClient] Request body (trimmed):", {
-      ...body,
-      messages: `len=${body.messages?.length ?? 0}`,
-      tools: body.tools ? `len=${body.tools.length}` : undefined
+  return sendMessages(model, body, { stream, betas, signal });
+}
+
+/**
+ * 原样调用 Claude Messages API（给 Anthropic 原生 /v1/messages 用）
+ * 请求体里的 model 会被挪到 URL 上，anthropic_version 由网关补齐；非 Claude 模型同样按 provider 转换
+ * @param {Object} payload Anthropic Messages 请求体
+ * @param {Object} [options]
+ * @param {Array<string>} [options.betas] - anthropic-beta 列表
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object|Response>} 同 callClaudeMessages
+ */
+async function callClaudeRaw(payload, { betas, signal } = {}) {
+  const { model, ...body } = payload;
+  return sendMessages(model, body, { stream: !!body.stream, betas, signal });
+}
+
+/**
+ * 按模型的 provider 转换请求、发给 Vertex，再把结果转换回 Claude 格式
+ */
+async function sendMessages(model, claudeBody, { stream = false, betas, signal } = {}) {
+  const provider = getProvider(model);
+  const request = provider.buildRequest(claudeBody, { model, stream, betas });
+  const result = await postToVertex(request.model, request.method, request.body, {
+    publisher: provider.publisher,
+    headers: request.headers,
+    fixture: upstreamFixture({ model, kind: "messages", stream, body: claudeBody }),
+    stream,
+    signal
+  });
+  return stream
+    ? provider.translateStream(result, request)
+    : provider.parseResponse(result, request);
+}
+
+/**
+ * 调用 count tokens 端点（Claude 是 count-tokens，Gemini 是 countTokens，见 providers.js）
+ * @param {Object} payload Anthropic count_tokens 请求体
+ * @param {Object} [options]
+ * @param {Array<string>} [options.betas]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} { input_tokens }
+ */
+async function countClaudeTokens(payload, { betas, signal } = {}) {
+  const { model, ...body } = payload;
+  const provider = getProvider(model);
+  const request = provider.buildCountTokensRequest(body, { model, betas });
+  const result = await postToVertex(request.model, request.method, request.body, {
+    publisher: provider.publisher,
+    headers: request.headers,
+    fixture: upstreamFixture({ model, kind: "count_tokens", body }),
+    signal
+  });
+  return provider.parseCountTokens(result, request);
+}
+
+/**
+ * record / replay 模式下按 Claude 请求体算出 fixture key，live 模式不需要
+ */
+function upstreamFixture(request) {
+  return config.upstream.mode === "live" ? undefined : fixtureKey(request);
+}
+
+/**
+ * 向 Vertex 上的 publisher 模型发 POST 请求
+ * 按 orderTargets() 的顺序尝试各个 target，可重试的错误（429 / 5xx / overloaded / 网络错误）
+ * 会带抖动指数退避后换下一个 target 重试
+ * @param {string} model - URL 里的模型段（模型 ID 或 count-tokens）
+ * @param {string} method - rawPredict / generateContent / streamGenerateContent?alt=sse 等
+ * @param {Object} body - 完整请求体
+ * @param {Object} [options]
+ * @param {string} [options.publisher] - anthropic（默认）/ google
+ * @param {Object} [options.headers] - 额外的请求头（如 anthropic-beta）
+ * @param {Object} [options.fixture] - record / replay 模式下的 fixture key，见 upstreamFixtures.js
+ * @param {AbortSignal} [options.signal] - 中止后不再重试，直接以 signal.reason 失败
+ * @returns {Promise<Object|Response>} 非流式返回 JSON 对象；流式直接返回 fetch Response
+ */
+async function postToVertex(
+  model,
+  method,
+  body,
+  { publisher = "anthropic", headers, fixture, stream = false, signal } = {}
+) {
+  logger.debug("vertex request", { model, method, body: summarizeBody(body) });
+
+  const targets = orderTargets();
+  const maxAttempts = Math.max(config.retry.maxAttempts, 1);
+  let lastErr;
+  let lastTarget;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const target = targets[(attempt - 1) % targets.length];
+    if (attempt > 1) {
+      await sleep(backoffDelay(attempt - 1, lastErr));
+      if (signal && signal.aborted) throw signal.reason;
+      metrics.retries.inc({ model });
+      if (target !== lastTarget) {
+        metrics.failovers.inc({ model, from: lastTarget.name, to: target.name });
+      }
+    }
+    lastTarget = target;
+
+    const startedAt = Date.now();
+    try {
+      const result = await sendToTarget(target, model, method, body, {
+        publisher,
+        headers,
+        fixture,
+        stream,
+        signal
+      });
+      recordSuccess(target);
+      const durationMs = Date.now() - startedAt;
+      metrics.upstreamLatency.observe(
+        { model, target: target.name, outcome: "ok" },
+        durationMs / 1000
+      );
+      logger.info("vertex attempt", {
+        attempt,
+        max_attempts: maxAttempts,
+        target: target.name,
+        model,
+        outcome: "ok",
+        duration_ms: durationMs
+      });
+      return result;
+    } catch (err) {
+      // 客户端断开 / 总超时：不算 target 的失败，也不再重试
+      const aborted = !!(signal && signal.aborted);
+      const retryable = !aborted && isRetryableError(err);
+      if (retryable) recordFailure(target);
+      const durationMs = Date.now() - startedAt;
+      const outcome = describeOutcome(err);
+      metrics.upstreamLatency.observe(
+        { model, target: target.name, outcome: outcome.replace(/\(.*$/, "") },
+        durationMs / 1000
+      );
+      logger.warn("vertex attempt", {
+        attempt,
+        max_attempts: maxAttempts,
+        target: target.name,
+        model,
+        outcome,
+        duration_ms: durationMs,
+        retryable: aborted ? undefined : retryable
+      });
+      // 标记为上游错误，errors.js 的 mapUpstreamError 据此映射成 OpenAI 错误
+      err.upstream = true;
+      lastErr = err;
+      if (!retryable) throw err;
+    }
+  }
+
+  throw lastErr;
+}
+
+/**
+ * 对单个 target 发一次请求
+ * 流式请求会先读到第一个 chunk 再返回，这样首字节之前的网络错误也能走故障转移
+ * 流式请求按 connect（到响应头）/ first_byte（到第一个 chunk）分别计时，非流式请求按 response（到读完响应体）计时
+ * 超时算可重试的 504
+ */
+async function sendToTarget(
+  target,
+  model,
+  method,
+  body,
+  { publisher, headers, fixture, stream, signal }
+) {
+  // 回放模式不访问 Vertex，也就不需要 token
+  const replaying = config.upstream.mode === "replay";
+  const token = replaying ? null : await getAccessToken(target);
+
+  // 每次尝试一个 controller：外部 signal 中止时跟着中止，超时只中止这一次尝试
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) throw signal.reason;
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+  let timer = null;
+  const startTimer = (kind, ms) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(upstreamTimeoutError(kind, ms)), ms);
+  };
+  // 流式响应返回后上层还要继续读，这时外部 signal 仍需能中止它；其余情况结束时解绑
+  let keepListener = false;
+
+  // 模型只在特定区域可用时，以注册表里的 location 为准
+  const location = getModelInfo(model).location || target.location;
+  // global 端点没有区域前缀
+  const host =
+    location === "global" ? "aiplatform.googleapis.com" : `${location}-aiplatform.googleapis.com`;
+  const url = `https://${host}/v1/projects/${target.projectId}/locations/${location}/publishers/${publisher}/models/${model}:${method}`;
+
+  // 非流式响应要等整个回复生成完才有响应头，只能对整次尝试（到读完响应体）计时
+  if (stream) startTimer("connect", config.timeouts.connectMs);
+  else startTimer("response", config.timeouts.responseMs);
+  try {
+    const startedAt = Date.now();
+    let res = await (replaying
+      ? replayUpstream(fixture, { publisher, signal: controller.signal })
+      : fetch(url, {
+          method: "POST",
+          signal: controller.signal,
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+            ...(headers || {})
+          },
+          body: JSON.stringify(body)
+        }));
+    if (config.upstream.mode === "record") {
+      res = await recordUpstream(res, fixture, { stream, startedAt });
+    }
+    rememberUpstreamRequestId(res);
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      const err = new Error(
+        `Vertex API error: ${res.status} ${res.statusText} - ${text}`
+      );
+      err.status = res.status;
+      err.body = text;
+      err.retryAfter = res.headers.get("retry-after");
+      throw err;
+    }
+
+    if (stream) {
+      // 返回 fetch Response，由上层自己解析 SSE；之后读流时 signal 仍然有效
+      startTimer("first_byte", config.timeouts.firstByteMs);
+      const peeked = await peekFirstChunk(res, controller.signal);
+      keepListener = true;
+      return peeked;
+    }
+
+    const json = await res.json();
+    logger.debug("vertex response", {
+      model,
+      stop_reason: json.stop_reason,
+      usage: json.usage
     });
+    return json;
+  } finally {
+    clearTimeout(timer);
+    if (signal && !keepListener) signal.removeEventListener("abort", onAbort);
   }
+}
+
+/**
+ * 把上游响应的 request id 记到当前请求的日志上下文（重试时以最后一次为准）
+ */
+function rememberUpstreamRequestId(res) {
+  const ctx = getRequestContext();
+  if (!ctx) return;
+  for (const name of UPSTREAM_REQUEST_ID_HEADERS) {
+    const value = res.headers.get(name);
+    if (value) {
+      ctx.upstreamRequestId = value;
+      return;
+    }
+  }
+}
 
-  const res = await fetch(url, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json"
+/**
+ * reader.read()，signal 中止时立即以 signal.reason 失败并取消上游流
+ * （不依赖 fetch 实现是否会在 abort 后让 body 报错）
+ */
+function readWithSignal(reader, signal) {
+  if (signal.aborted) {
+    reader.cancel(signal.reason).catch(() => {});
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      reader.cancel(signal.reason).catch(() => {});
+      reject(signal.reason);
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+    reader
+      .read()
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+/**
+ * 先读出流的第一个 chunk，再包装成一个等价的 Response 交给上层
+ * 之后每次读取都受 signal 控制（客户端断开 / 超时时取消上游）
+ */
+async function peekFirstChunk(res, signal) {
+  const reader = res.body.getReader();
+  const first = await readWithSignal(reader, signal);
+  const body = new ReadableStream({
+    start(controller) {
+      if (first.done) {
+        controller.close();
+      } else {
+        controller.enqueue(first.value);
+      }
+    },
+    async pull(controller) {
+      const { done, value } = await readWithSignal(reader, signal);
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
     },
-    body: JSON.stringify(body)
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
   });
+  return new Response(body, {
+    status: res.status,
+    statusText: res.statusText,
+    headers: res.headers
+  });
+}
 
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    const err = new Error(
-      `Vertex API error: ${res.status} ${res.statusText} - ${text}`
-    );
-    err.status = res.status;
-    err.body = text;
-    throw err;
-  }
+function isRetryableError(err) {
+  if (err.cancelled) return false;
+  // 没有 status 说明是网络错误 / 取 token 失败，换个 target 试试
+  if (!err.status) return true;
+  if (RETRYABLE_STATUS.has(err.status)) return true;
+  return typeof err.body === "string" && err.body.includes("overloaded_error");
+}
 
-  if (stream) {
-    // 返回 fetch Response，由上层自己解析 SSE
-    return res;
+/**
+ * 抖动指数退避（full jitter），上游给了 Retry-After 时取两者较大值
+ */
+function backoffDelay(retry, lastErr) {
+  const { baseDelayMs, maxDelayMs } = config.retry;
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+  let delay = Math.random() * cap;
+  const retryAfterSec = lastErr && Number(lastErr.retryAfter);
+  if (retryAfterSec > 0) {
+    delay = Math.max(delay, Math.min(retryAfterSec * 1000, maxDelayMs));
   }
+  return delay;
+}
 
-  const json = await res.json();
-  if (config.debug) {
-    console.log("[vertexClient] Response (trimmed keys):", Object.keys(json));
-  }
-  return json;
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 module.exports = {
-  callClaudeMessages
+  callClaudeMessages,
+  callClaudeRaw,
+  countClaudeTokens
 };